@@ -0,0 +1,160 @@
+/**
+ * Lanczos Benchmark
+ * Compares the separable Lanczos kernel in js/resampleKernels.js against the original
+ * 2D implementation on fixed, deterministic test images.
+ *
+ * Usage: node bench/lanczos-benchmark.js
+ */
+
+global.self = global;
+require('../js/resampleKernels.js');
+
+const { ResampleKernels } = global;
+
+// Original 2D Lanczos-3: Math.sin per tap for every output pixel
+function legacyLanczos(src, srcWidth, srcHeight, targetWidth, targetHeight) {
+    const dest = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+    const scaleX = srcWidth / targetWidth;
+    const scaleY = srcHeight / targetHeight;
+    const filterSize = 3;
+
+    for (let y = 0; y < targetHeight; y++) {
+        for (let x = 0; x < targetWidth; x++) {
+            const srcX = x * scaleX;
+            const srcY = y * scaleY;
+
+            let r = 0, g = 0, b = 0, a = 0;
+            let weightSum = 0;
+
+            const minX = Math.max(0, Math.floor(srcX) - filterSize);
+            const maxX = Math.min(srcWidth - 1, Math.ceil(srcX) + filterSize);
+            const minY = Math.max(0, Math.floor(srcY) - filterSize);
+            const maxY = Math.min(srcHeight - 1, Math.ceil(srcY) + filterSize);
+
+            for (let sy = minY; sy <= maxY; sy++) {
+                for (let sx = minX; sx <= maxX; sx++) {
+                    const weight = ResampleKernels.lanczos(srcX - sx) * ResampleKernels.lanczos(srcY - sy);
+                    const idx = (sy * srcWidth + sx) * 4;
+                    r += src[idx] * weight;
+                    g += src[idx + 1] * weight;
+                    b += src[idx + 2] * weight;
+                    a += src[idx + 3] * weight;
+                    weightSum += weight;
+                }
+            }
+
+            const destIdx = (y * targetWidth + x) * 4;
+            dest[destIdx] = Math.round(r / weightSum);
+            dest[destIdx + 1] = Math.round(g / weightSum);
+            dest[destIdx + 2] = Math.round(b / weightSum);
+            dest[destIdx + 3] = Math.round(a / weightSum);
+        }
+    }
+
+    return dest;
+}
+
+function separableLanczos(src, srcWidth, srcHeight, targetWidth, targetHeight, lobes) {
+    const dest = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+    ResampleKernels.weightCache.clear();
+    ResampleKernels.resampleRegion({
+        src,
+        srcWidth,
+        srcHeight,
+        dest,
+        targetWidth,
+        targetHeight,
+        startY: 0,
+        endY: targetHeight,
+        filter: `lanczos${lobes}`
+    });
+    return dest;
+}
+
+// Deterministic pseudo-random numbers (mulberry32)
+function seededRandom(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function makeImage(width, height, pixel) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = pixel(x, y);
+            const idx = (y * width + x) * 4;
+            data[idx] = r;
+            data[idx + 1] = g;
+            data[idx + 2] = b;
+            data[idx + 3] = 255;
+        }
+    }
+    return data;
+}
+
+const WIDTH = 160;
+const HEIGHT = 120;
+const random = seededRandom(42);
+
+const TEST_IMAGES = {
+    gradient: makeImage(WIDTH, HEIGHT, (x, y) => [x * 255 / WIDTH, y * 255 / HEIGHT, 128]),
+    checkerboard: makeImage(WIDTH, HEIGHT, (x, y) => ((x >> 3) + (y >> 3)) % 2 ? [255, 255, 255] : [0, 0, 0]),
+    noise: makeImage(WIDTH, HEIGHT, () => [random() * 255, random() * 255, random() * 255]),
+    lettering: makeImage(WIDTH, HEIGHT, (x, y) => (x % 12 < 3 || y % 20 < 2) ? [20, 20, 120] : [250, 245, 230])
+};
+
+const SCALES = [2, 4, 8];
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function compare(a, b) {
+    let maxDiff = 0;
+    let total = 0;
+    for (let i = 0; i < a.length; i++) {
+        const diff = Math.abs(a[i] - b[i]);
+        maxDiff = Math.max(maxDiff, diff);
+        total += diff;
+    }
+    return { maxDiff, meanDiff: total / a.length };
+}
+
+const rows = [];
+
+for (const [name, src] of Object.entries(TEST_IMAGES)) {
+    for (const scale of SCALES) {
+        const targetWidth = WIDTH * scale;
+        const targetHeight = HEIGHT * scale;
+
+        const legacy = time(() => legacyLanczos(src, WIDTH, HEIGHT, targetWidth, targetHeight));
+        const row = {
+            image: name,
+            output: `${targetWidth}×${targetHeight}`,
+            'legacy-3 ms': legacy.ms.toFixed(0)
+        };
+
+        const runs = {};
+        for (const lobes of [2, 3, 4]) {
+            runs[lobes] = time(() => separableLanczos(src, WIDTH, HEIGHT, targetWidth, targetHeight, lobes));
+            row[`sep-${lobes} ms`] = runs[lobes].ms.toFixed(0);
+        }
+
+        // Same lobe count as the original, so the output should match up to rounding
+        const { maxDiff, meanDiff } = compare(legacy.result, runs[3].result);
+        row.speedup = `${(legacy.ms / runs[3].ms).toFixed(1)}×`;
+        row['max Δ'] = maxDiff;
+        row['mean Δ'] = meanDiff.toFixed(3);
+
+        rows.push(row);
+    }
+}
+
+console.table(rows);
@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+/**
+ * Tile Posters
+ * Headless version of the designer's image boards: upscales each input image to the board
+ * size and writes its pages as a PDF or a ZIP of PNGs, or the whole board as one full-size
+ * PDF page, using the same grid, resampling and export code as the browser app.
+ *
+ * Requires Node 18.12+ and the canvas package, which stands in for the browser's canvas.
+ * Install it with `npm install` in this folder (see package.json). canvas downloads a prebuilt
+ * binary where one exists for the platform; otherwise it compiles against Cairo and Pango,
+ * which need a C++ toolchain, Python 3 and their development packages installed first.
+ *
+ * Usage: node cli/tile-posters.js --width 90 --height 60 [options] <image|folder>...
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: node cli/tile-posters.js --width <cm> --height <cm> [options] <image|folder>...
+
+Tiles every image (and every image in each folder) into printable pages.
+
+Options:
+      --width <cm>          Board width (required)
+      --height <cm>         Board height (required)
+  -d, --dpi <dpi>           Print resolution (default 300)
+  -o, --orientation <o>     portrait or landscape (default portrait)
+      --overlap <mm>        Overlap between neighbouring pages (default 10)
+      --paper <size>        a4, a3, letter, legal or tabloid (default a4)
+      --margins <preset>    none, inkjet, laser or safe (default inkjet)
+      --fit <mode>          contain, cover or stretch (default contain)
+      --algorithm <name>    nearest, bilinear, bicubic, lanczos2, lanczos, lanczos4 or edge
+                            (default lanczos)
+      --sharpen <percent>   Unsharp mask strength, 0 = off (default 0)
+      --marks <style>       Crop marks: corners, lines, scissors or none (default corners)
+      --marks-side <side>   Draw marks on the kept artwork or the discarded margin (default kept)
+  -f, --format <format>     pdf, zip or poster, one full-size page (default pdf)
+      --lossless            Store PDF pages losslessly instead of as JPEG
+      --jpeg-quality <q>    JPEG quality of PDF pages, 50-100 (default 92)
+      --output-intent       Tag the PDF as sRGB with a PDF/X-style output intent
+      --bleed <mm>          Bleed around a poster's trim edge (default 3)
+      --out <folder>        Where to write the files (default: next to each image)
+      --help                Show this help
+
+Setup:
+  Run npm install in the cli folder first; it installs the canvas package (Node 18.12+).
+  Where canvas has no prebuilt binary it is compiled, which needs a C++ toolchain,
+  Python 3 and the Cairo, Pango, libjpeg, giflib and librsvg development packages:
+    Debian/Ubuntu: apt install build-essential libcairo2-dev libpango1.0-dev libjpeg-dev libgif-dev librsvg2-dev
+    macOS:         brew install pkg-config cairo pango libpng jpeg giflib librsvg
+  See https://github.com/Automattic/node-canvas#compiling for other systems.`;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp'];
+
+// Same radius the app uses by default
+const SHARPEN_RADIUS = 1.5;
+
+const APP_ROOT = path.join(__dirname, '..');
+
+/**
+ * Make the browser scripts run under Node: canvases come from the canvas package
+ * and the scripts' window globals land on Node's global object
+ */
+function setUpBrowserGlobals() {
+    let canvasModule;
+    try {
+        canvasModule = require('canvas');
+    } catch (error) {
+        throw new Error('The canvas package is missing. Run npm install in the cli folder (see --help for its prerequisites)');
+    }
+    const { createCanvas, Canvas, ImageData } = canvasModule;
+
+    // Loaded before window exists, so it takes its Node code path
+    const JSZip = require(path.join(APP_ROOT, 'vendor/jszip.min.js'));
+
+    global.self = global;
+    global.window = global;
+    global.ImageData = ImageData;
+    global.document = {
+        createElement(tagName) {
+            if (tagName !== 'canvas') {
+                throw new Error(`Cannot create <${tagName}> outside a browser`);
+            }
+            return createCanvas(1, 1);
+        }
+    };
+
+    // Tiles are turned into files with toBlob; a Buffer is what JSZip wants under Node
+    Canvas.prototype.toBlob = function (callback, type = 'image/png', quality = 0.92) {
+        callback(type === 'image/jpeg'
+            ? this.toBuffer('image/jpeg', { quality })
+            : this.toBuffer('image/png'));
+    };
+
+    global.JSZip = JSZip;
+
+    [
+        'js/utils.js',
+        'js/resampleKernels.js',
+        'js/workerPool.js',
+        'js/imageProcessor.js',
+        'js/gridSplitter.js',
+        'js/pdfStreamWriter.js',
+        'js/printExporter.js'
+    ].forEach(file => require(path.join(APP_ROOT, file)));
+
+    return canvasModule;
+}
+
+function fail(message) {
+    console.error(`Error: ${message}\n`);
+    console.error(USAGE);
+    process.exit(2);
+}
+
+/**
+ * Read and check the command line
+ * @returns {Object} { options, inputs }
+ */
+function readOptions() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                width: { type: 'string' },
+                height: { type: 'string' },
+                dpi: { type: 'string', short: 'd', default: '300' },
+                orientation: { type: 'string', short: 'o', default: 'portrait' },
+                overlap: { type: 'string', default: '10' },
+                paper: { type: 'string', default: 'a4' },
+                margins: { type: 'string', default: 'inkjet' },
+                fit: { type: 'string', default: 'contain' },
+                algorithm: { type: 'string', default: 'lanczos' },
+                sharpen: { type: 'string', default: '0' },
+                marks: { type: 'string', default: 'corners' },
+                'marks-side': { type: 'string', default: 'kept' },
+                format: { type: 'string', short: 'f', default: 'pdf' },
+                lossless: { type: 'boolean' },
+                'jpeg-quality': { type: 'string', default: '92' },
+                'output-intent': { type: 'boolean' },
+                bleed: { type: 'string', default: '3' },
+                out: { type: 'string' },
+                help: { type: 'boolean' }
+            }
+        });
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const { values, positionals } = parsed;
+
+    const number = (name, min) => {
+        const value = parseFloat(values[name]);
+        if (!Number.isFinite(value) || value < min) {
+            fail(`--${name} must be a number of at least ${min}`);
+        }
+        return value;
+    };
+    const choice = (name, allowed) => {
+        if (!allowed.includes(values[name])) {
+            fail(`--${name} must be one of: ${allowed.join(', ')}`);
+        }
+        return values[name];
+    };
+
+    if (values.width === undefined || values.height === undefined) {
+        fail('--width and --height are required');
+    }
+    if (!positionals.length) {
+        fail('No images given');
+    }
+
+    return {
+        options: {
+            widthCm: number('width', 1),
+            heightCm: number('height', 1),
+            dpi: number('dpi', 72),
+            orientation: choice('orientation', ['portrait', 'landscape']),
+            overlapMm: number('overlap', 0),
+            paperSize: choice('paper', Object.keys(Utils.PAPER_SIZES)),
+            margins: choice('margins', Object.keys(Utils.PRINTER_MARGIN_PRESETS)),
+            fitMode: choice('fit', ['contain', 'cover', 'stretch']),
+            algorithm: choice('algorithm', ['nearest', 'bilinear', 'bicubic', 'lanczos2', 'lanczos', 'lanczos4', 'edge']),
+            sharpenAmount: number('sharpen', 0) / 100,
+            guides: {
+                enabled: choice('marks', ['corners', 'lines', 'scissors', 'none']) !== 'none',
+                style: values.marks,
+                side: choice('marks-side', ['kept', 'discarded'])
+            },
+            format: choice('format', ['pdf', 'zip', 'poster']),
+            pdfExport: {
+                imageFormat: values.lossless ? 'png' : 'jpeg',
+                jpegQuality: Math.min(number('jpeg-quality', 50), 100),
+                outputIntent: Boolean(values['output-intent']),
+                bleedMm: number('bleed', 0)
+            },
+            outDir: values.out || null
+        },
+        inputs: positionals
+    };
+}
+
+/**
+ * Expand folders into the images they contain
+ * @param {Array<string>} inputs
+ * @returns {Array<string>}
+ */
+function findImages(inputs) {
+    const isImage = (file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+    return inputs.flatMap(input => {
+        if (!fs.existsSync(input)) {
+            console.warn(`Skipping ${input}: not found`);
+            return [];
+        }
+        if (fs.statSync(input).isDirectory()) {
+            return fs.readdirSync(input)
+                .filter(isImage)
+                .sort()
+                .map(file => path.join(input, file));
+        }
+        return [input];
+    });
+}
+
+/**
+ * Picture of the finished board for the assembly guide, as the app's createGuideImage draws it
+ */
+function createGuideImage(image, config, fitMode) {
+    const maxSize = 1600;
+    const scale = Math.min(1, maxSize / Math.max(config.targetWidthPx, config.targetHeightPx));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(config.targetWidthPx * scale);
+    canvas.height = Math.round(config.targetHeightPx * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const layout = ImageProcessor.calculateFitLayout(
+        image.naturalWidth, image.naturalHeight, canvas.width, canvas.height, fitMode
+    );
+    ctx.drawImage(
+        image,
+        layout.crop.x, layout.crop.y, layout.crop.width, layout.crop.height,
+        layout.drawX, layout.drawY, layout.drawWidth, layout.drawHeight
+    );
+
+    const dataUrl = canvas.toDataURL('image/jpeg', 0.9);
+    Utils.releaseCanvas(canvas);
+    return dataUrl;
+}
+
+function reportProgress(name, progress) {
+    if (process.stderr.isTTY) {
+        process.stderr.write(`\r${name}: ${progress}%   `);
+    }
+}
+
+/**
+ * Write an output file next to its image or into --out, and finish the progress line
+ * @returns {string} Path of the written file
+ */
+function writeOutput(file, output, data, options) {
+    const outPath = path.join(options.outDir || path.dirname(file), output);
+    fs.writeFileSync(outPath, data);
+    reportProgress(path.basename(file, path.extname(file)), 100);
+    if (process.stderr.isTTY) process.stderr.write('\n');
+    return outPath;
+}
+
+/**
+ * Tile one image and write its PDF, ZIP or poster
+ * @returns {Promise<string>} Path of the written file
+ */
+async function tileImage(file, options, loadImage) {
+    const name = path.basename(file, path.extname(file));
+    const image = await loadImage(file);
+
+    const config = {
+        ...Utils.calculateGridDimensions(
+            Utils.cmToMm(options.widthCm),
+            Utils.cmToMm(options.heightCm),
+            options.dpi,
+            options.orientation,
+            options.overlapMm,
+            options.paperSize,
+            null,
+            Utils.getPrinterMargins(options.margins)
+        ),
+        addCropMarks: options.guides.enabled,
+        guides: options.guides
+    };
+
+    const imageProcessor = new ImageProcessor();
+    const gridSplitter = new GridSplitter();
+    const printExporter = new PrintExporter();
+
+    imageProcessor.setImage(image);
+    imageProcessor.setSharpening(options.sharpenAmount, SHARPEN_RADIUS);
+    const renderer = imageProcessor.createBoardRenderer(
+        config.targetWidthPx,
+        config.targetHeightPx,
+        options.algorithm,
+        options.fitMode
+    );
+
+    try {
+        // A poster is rendered straight from the board; it needs no pages
+        if (options.format === 'poster') {
+            printExporter.setTiles([], config, null, null, (region) => renderer.renderRegion(region));
+            const pdf = await printExporter.createPosterPdf(
+                (progress) => reportProgress(name, progress),
+                null,
+                options.pdfExport
+            );
+            const outPath = writeOutput(file, `${name}-poster.pdf`, Buffer.from(await pdf.arrayBuffer()), options);
+            return `${outPath} (${options.widthCm} × ${options.heightCm} cm on one page)`;
+        }
+
+        // Splitting renders every tile once for its preview; the export renders them again
+        const tiles = await gridSplitter.splitIntoTiles(renderer, config, (progress) => {
+            reportProgress(name, Math.round(progress / 2));
+        });
+        printExporter.setTiles(
+            tiles,
+            config,
+            createGuideImage(image, config, options.fitMode),
+            (tile) => gridSplitter.renderTile(tile)
+        );
+
+        const exportProgress = (progress) => reportProgress(name, 50 + Math.round(progress / 2));
+        let outPath;
+        if (options.format === 'pdf') {
+            const pdf = await printExporter.createPdf(exportProgress, null, options.pdfExport);
+            outPath = writeOutput(file, `${name}-pages.pdf`, Buffer.from(await pdf.arrayBuffer()), options);
+        } else {
+            const zip = await printExporter.createZip(exportProgress, null, 'nodebuffer');
+            outPath = writeOutput(file, `${name}-tiles.zip`, zip, options);
+        }
+
+        return `${outPath} (${config.cols} × ${config.rows} = ${config.totalPages} ${config.paper.label} pages)`;
+    } finally {
+        gridSplitter.releaseTiles();
+        renderer.release();
+    }
+}
+
+async function main() {
+    if (process.argv.includes('--help')) {
+        console.log(USAGE);
+        return;
+    }
+
+    let canvasModule;
+    try {
+        canvasModule = setUpBrowserGlobals();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    const { options, inputs } = readOptions();
+
+    // A poster is one page of any size; pages need room left once margins and overlap are off
+    const page = Utils.calculateGridDimensions(1, 1, options.dpi, options.orientation, options.overlapMm,
+        options.paperSize, null, Utils.getPrinterMargins(options.margins));
+    if (options.format !== 'poster' && !page.fits) {
+        fail('--overlap and --margins leave no room on the page; make them smaller or choose a larger --paper');
+    }
+
+    const files = findImages(inputs);
+    if (!files.length) {
+        fail('No images found');
+    }
+    if (options.outDir) {
+        fs.mkdirSync(options.outDir, { recursive: true });
+    }
+
+    // Files are done one at a time so only one image is in memory
+    let failed = 0;
+    for (const file of files) {
+        try {
+            console.log(`Wrote ${await tileImage(file, options, canvasModule.loadImage)}`);
+        } catch (error) {
+            failed++;
+            if (process.stderr.isTTY) process.stderr.write('\n');
+            console.error(`Failed to tile ${file}: ${error.message}`);
+        }
+    }
+
+    if (failed) {
+        console.error(`${failed} of ${files.length} images failed`);
+        process.exit(1);
+    }
+}
+
+main();
@@ -3,23 +3,153 @@
  * Orchestrates the Bulletin Board Designer
  */
 
+// State that holds loaded files rather than settings; it is not saved with a project
+const TRANSIENT_STATE_KEYS = ['originalImage', 'originalFile', 'vectorSource'];
+
+// Range of every number a project file may set, by state path; others are skipped on load
+const PROJECT_NUMBER_RANGES = {
+    targetWidth: [1, 10000],       // cm
+    targetHeight: [1, 10000],
+    dpi: [1, 2400],
+    'customPaper.widthMm': [50, 1000],
+    'customPaper.heightMm': [50, 1000],
+    'customMargins.top': [0, 30],  // mm
+    'customMargins.right': [0, 30],
+    'customMargins.bottom': [0, 30],
+    'customMargins.left': [0, 30],
+    overlap: [0, 20],              // mm
+    sharpenAmount: [0, 200],       // %
+    sharpenRadius: [0.5, 5],       // px
+    'pdfExport.jpegQuality': [50, 100],
+    'pdfExport.bleedMm': [0, 10],
+    'guides.lineWidthMm': [0.05, 0.5],
+    'lettering.heightCm': [1, 500],
+    'lettering.outlineMm': [0, 15],
+    'lettering.cutOffsetMm': [0, 20],
+    'border.widthCm': [0.5, 50],
+    'border.repeatCm': [0.5, 50]
+};
+
+// Shown instead of tiling when margins and overlap use up the whole page
+const NO_PRINTABLE_AREA_MESSAGE = 'The margins and overlap leave no room on the page. Make them smaller or choose larger paper.';
+
+// Buttons that can't work without an export engine, by engine id
+const ENGINE_BUTTONS = {
+    jszip: ['exportPngBtn', 'openProjectBtn', 'saveProjectBtn']
+};
+
+// Where the service worker leaves a file shared to the installed app (see sw.js)
+const SHARED_FILE_CACHE = 'bbd-share';
+const SHARED_FILE_URL = 'shared-file';
+
+// Quiet time after the last edit before the session is autosaved
+const AUTOSAVE_DELAY_MS = 1500;
+
+// Quiet time that ends one undo step, so a slider drag or a typed word undoes at once
+const HISTORY_DELAY_MS = 500;
+
+// What undo/redo tooltips call each setting
+const HISTORY_LABELS = {
+    mode: 'mode change',
+    targetWidth: 'board size',
+    targetHeight: 'board size',
+    dpi: 'print quality',
+    orientation: 'orientation',
+    paperSize: 'paper size',
+    customPaper: 'paper size',
+    marginPreset: 'margins',
+    customMargins: 'margins',
+    overlap: 'overlap',
+    fitMode: 'fit mode',
+    crop: 'crop',
+    showPageGrid: 'page grid',
+    algorithm: 'upscaling method',
+    sharpenAmount: 'sharpening',
+    sharpenRadius: 'sharpening',
+    pdfExport: 'PDF settings',
+    guides: 'crop marks',
+    lettering: 'lettering',
+    border: 'border',
+    layers: 'layers'
+};
+const RECENT_THUMBNAIL_SIZE = 240;
+
 class BulletinBoardDesigner {
     constructor() {
         // Core modules
         this.imageProcessor = new ImageProcessor();
         this.gridSplitter = new GridSplitter();
         this.printExporter = new PrintExporter();
+        this.cropEditor = null;
+        this.composition = new Composition();
+        this.layerEditor = null;
+        this.lettering = new Lettering();
+        this.letteringGlyphs = [];      // Layout of the current lettering settings
+        this.letteringSplitters = [];   // One per glyph of the last generated lettering
+        this.boardRenderer = null;      // Renders the last generated image grid; holds a full copy of the source
+        this.borderStrips = new BorderStrips();
+        this.borderPlan = null;         // Strips and page packing of the current border settings
+        this.abortController = null;  // Cancels the operation shown in the progress modal
+        this.projectStore = ProjectStore.isSupported() ? new ProjectStore() : null;
+        this.projectId = null;          // Recent project the session autosaves to
+        this.autosaveDebounced = Utils.debounce(() => this.autosave(), AUTOSAVE_DELAY_MS);
+        this.history = new EditHistory();
+        this.historySnapshot = null;    // Editor state at the end of the last undo step
+        this.recordHistoryDebounced = Utils.debounce(() => this.recordHistory(), HISTORY_DELAY_MS);
 
         // State
         this.state = {
+            mode: 'image',     // 'image', 'lettering' or 'border'
             originalImage: null,
             originalFile: null,
+            vectorSource: null,  // Set for SVG/PDF input, which is rendered rather than upscaled
             targetWidth: 90,   // cm
             targetHeight: 60,  // cm
             dpi: 300,
             orientation: 'portrait',
+            paperSize: 'a4',
+            customPaper: { widthMm: 210, heightMm: 297 },
+            marginPreset: 'inkjet',
+            customMargins: { top: 3, right: 3, bottom: 5, left: 3 }, // mm
             overlap: 10,       // mm
-            algorithm: 'lanczos'
+            fitMode: 'contain',
+            crop: null,        // { x, y, width, height } in source pixels, or null for the whole image
+            showPageGrid: true,
+            algorithm: 'lanczos',
+            sharpenAmount: 0,  // % of detail added back by the unsharp mask, 0 = off
+            sharpenRadius: 1.5, // px at print resolution
+            pdfExport: {
+                imageFormat: 'jpeg', // 'jpeg' or 'png' (lossless)
+                jpegQuality: 92,     // %
+                outputIntent: false, // Tag the PDF as sRGB, PDF/X style
+                bleedMm: 3           // Artwork past the trim of the full-size poster
+            },
+            guides: {
+                enabled: true,
+                style: 'corners',    // 'corners', 'lines' or 'scissors'
+                color: '#000000',
+                lineWidthMm: 0.1,
+                side: 'kept'         // 'kept' (on the artwork) or 'discarded' (in the trimmed margin)
+            },
+            lettering: {
+                text: 'WELCOME',
+                fontFamily: 'Bebas Neue',
+                bold: false,
+                heightCm: 25,  // Cap height
+                fill: '#2563eb',
+                outlineColor: '#1e1b4b',
+                outlineMm: 2,
+                cutLine: true,
+                cutOffsetMm: 4 // Gap between the outline and the cut line
+            },
+            border: {
+                pattern: 'scalloped', // 'straight', 'scalloped', 'zigzag' or 'motif'
+                widthCm: 6,
+                repeatCm: 8,   // Length of one scallop, zigzag or motif
+                fill: '#f59e0b',
+                edgeColor: '#b45309',
+                motif: null    // HTMLImageElement repeated along 'motif' strips
+            }
         };
 
         // DOM Elements
@@ -31,47 +161,110 @@ class BulletinBoardDesigner {
 
     init() {
         this.cacheElements();
+        this.cropEditor = new CropEditor(this.elements.previewCanvas);
+        this.layerEditor = new LayerEditor(
+            this.elements.previewCanvas,
+            this.composition,
+            () => this.getPreviewBoardRect()
+        );
         this.bindEvents();
         this.checkBrowserSupport();
         this.updateGridInfo();
+        this.resetHistory();
+        this.renderRecentProjects();
+        this.registerServiceWorker();
+        this.bindLaunchHandlers();
     }
 
     cacheElements() {
         this.elements = {
+            engineNotice: document.getElementById('engineNotice'),
+
             // Upload
             uploadSection: document.getElementById('uploadSection'),
             uploadZone: document.getElementById('uploadZone'),
             fileInput: document.getElementById('fileInput'),
+            startLetteringBtn: document.getElementById('startLetteringBtn'),
+            startBorderBtn: document.getElementById('startBorderBtn'),
+            recentProjects: document.getElementById('recentProjects'),
+            recentProjectList: document.getElementById('recentProjectList'),
             
             // Editor
             editorSection: document.getElementById('editorSection'),
             previewCanvas: document.getElementById('previewCanvas'),
             previewContainer: document.getElementById('previewContainer'),
+            previewTitle: document.getElementById('previewTitle'),
             imageDimensions: document.getElementById('imageDimensions'),
             imageSize: document.getElementById('imageSize'),
             changeImageBtn: document.getElementById('changeImageBtn'),
+            cropToggleBtn: document.getElementById('cropToggleBtn'),
+            cropResetBtn: document.getElementById('cropResetBtn'),
+            cropHint: document.getElementById('cropHint'),
+            pageGridToggleBtn: document.getElementById('pageGridToggleBtn'),
+            undoBtn: document.getElementById('undoBtn'),
+            redoBtn: document.getElementById('redoBtn'),
             
             // Controls
+            modeBtns: document.querySelectorAll('.mode-btn'),
+            modePanels: document.querySelectorAll('[data-mode-panel]'),
+            letteringControls: document.getElementById('letteringControls'),
+            guideControls: document.getElementById('guideControls'),
+            guideOptions: document.getElementById('guideOptions'),
+            borderControls: document.getElementById('borderControls'),
+            borderMotifBtn: document.getElementById('borderMotifBtn'),
+            borderMotifInput: document.getElementById('borderMotifInput'),
             targetWidth: document.getElementById('targetWidth'),
             targetHeight: document.getElementById('targetHeight'),
-            presetBtns: document.querySelectorAll('.preset-btn'),
+            presetBtns: document.querySelectorAll('.preset-sizes .preset-btn'),
             dpiBtns: document.querySelectorAll('.dpi-btn'),
             orientationBtns: document.querySelectorAll('.orientation-btn'),
+            paperSizeSelect: document.getElementById('paperSizeSelect'),
+            customPaperInputs: document.getElementById('customPaperInputs'),
+            customPaperWidth: document.getElementById('customPaperWidth'),
+            customPaperHeight: document.getElementById('customPaperHeight'),
+            marginPresetSelect: document.getElementById('marginPresetSelect'),
+            customMarginInputs: document.getElementById('customMarginInputs'),
+            marginInputs: document.querySelectorAll('#customMarginInputs input'),
             overlapRange: document.getElementById('overlapRange'),
             overlapValue: document.getElementById('overlapValue'),
+            fitModeSelect: document.getElementById('fitModeSelect'),
             algorithmSelect: document.getElementById('algorithmSelect'),
+            addImageLayerBtn: document.getElementById('addImageLayerBtn'),
+            addTextLayerBtn: document.getElementById('addTextLayerBtn'),
+            addShapeLayerBtn: document.getElementById('addShapeLayerBtn'),
+            layerImageInput: document.getElementById('layerImageInput'),
+            layerList: document.getElementById('layerList'),
+            layerProperties: document.getElementById('layerProperties'),
+            sharpenAmountRange: document.getElementById('sharpenAmountRange'),
+            sharpenAmountValue: document.getElementById('sharpenAmountValue'),
+            pdfImageFormatSelect: document.getElementById('pdfImageFormatSelect'),
+            pdfJpegQuality: document.getElementById('pdfJpegQuality'),
+            pdfJpegQualityRange: document.getElementById('pdfJpegQualityRange'),
+            pdfJpegQualityValue: document.getElementById('pdfJpegQualityValue'),
+            pdfOutputIntentCheckbox: document.getElementById('pdfOutputIntentCheckbox'),
+            pdfBleedRange: document.getElementById('pdfBleedRange'),
+            pdfBleedValue: document.getElementById('pdfBleedValue'),
+            sharpenRadiusRange: document.getElementById('sharpenRadiusRange'),
+            sharpenRadiusValue: document.getElementById('sharpenRadiusValue'),
             
             // Grid info
             gridCols: document.getElementById('gridCols'),
             gridRows: document.getElementById('gridRows'),
             totalPages: document.getElementById('totalPages'),
             upscaleFactor: document.getElementById('upscaleFactor'),
+            statLabels: [
+                document.getElementById('gridColsLabel'),
+                document.getElementById('gridRowsLabel'),
+                document.getElementById('totalPagesLabel'),
+                document.getElementById('upscaleFactorLabel')
+            ],
             
             // Buttons
             generateBtn: document.getElementById('generateBtn'),
             backToEditor: document.getElementById('backToEditor'),
             exportPngBtn: document.getElementById('exportPngBtn'),
             exportPdfBtn: document.getElementById('exportPdfBtn'),
+            exportPosterBtn: document.getElementById('exportPosterBtn'),
             
             // Grid section
             gridSection: document.getElementById('gridSection'),
@@ -85,8 +278,12 @@ class BulletinBoardDesigner {
             progressText: document.getElementById('progressText'),
             progressFill: document.getElementById('progressFill'),
             progressPercent: document.getElementById('progressPercent'),
+            progressCancelBtn: document.getElementById('progressCancelBtn'),
             helpModal: document.getElementById('helpModal'),
             helpBtn: document.getElementById('helpBtn'),
+            openProjectBtn: document.getElementById('openProjectBtn'),
+            saveProjectBtn: document.getElementById('saveProjectBtn'),
+            projectInput: document.getElementById('projectInput'),
             closeHelpModal: document.getElementById('closeHelpModal')
         };
     }
@@ -131,6 +328,84 @@ class BulletinBoardDesigner {
             this.elements.fileInput.click();
         });
 
+        // Lettering and borders can be started without an image
+        [
+            [this.elements.startLetteringBtn, 'lettering'],
+            [this.elements.startBorderBtn, 'border']
+        ].forEach(([btn, mode]) => {
+            btn.addEventListener('click', () => {
+                this.startAutosave();
+                this.setMode(mode);
+                this.showSection('editor');
+                requestAnimationFrame(() => {
+                    this.updatePreview();
+                });
+            });
+        });
+
+        this.elements.modeBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setMode(btn.dataset.mode);
+            });
+        });
+
+        // Recent projects
+        this.elements.recentProjectList.addEventListener('click', (e) => {
+            const item = e.target.closest('.recent-project');
+            if (!item) return;
+
+            if (e.target.closest('.recent-project-delete')) {
+                this.deleteRecentProject(item.dataset.id);
+            } else {
+                this.openRecentProject(item.dataset.id);
+            }
+        });
+
+        // Save right away when the tab is hidden, as it may be closed next
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.autosave();
+            }
+        });
+
+        // Crop controls
+        this.cropEditor.onChange = (crop) => {
+            this.state.crop = crop;
+            this.updateGridInfo();
+        };
+
+        this.elements.cropToggleBtn.addEventListener('click', () => {
+            this.setCropEnabled(!this.cropEditor.enabled);
+        });
+
+        this.elements.cropResetBtn.addEventListener('click', () => {
+            this.cropEditor.resetCrop();
+        });
+
+        // Undo/redo
+        this.history.onChange = () => {
+            this.updateHistoryButtons();
+        };
+
+        this.elements.undoBtn.addEventListener('click', () => {
+            this.undo();
+        });
+
+        this.elements.redoBtn.addEventListener('click', () => {
+            this.redo();
+        });
+
+        // Page grid overlay toggle
+        this.elements.pageGridToggleBtn.addEventListener('click', () => {
+            this.state.showPageGrid = !this.state.showPageGrid;
+            this.elements.pageGridToggleBtn.classList.toggle('active', this.state.showPageGrid);
+            this.drawPreview();
+            this.handleStateChange();
+        });
+
+        // Keep the preview fitted to its container
+        window.addEventListener('resize', Utils.debounce(() => this.updatePreview(), 150));
+
         // Preset size buttons
         this.elements.presetBtns.forEach(btn => {
             btn.addEventListener('click', () => {
@@ -168,6 +443,13 @@ class BulletinBoardDesigner {
             });
         });
 
+        // Paper size select
+        this.elements.paperSizeSelect.addEventListener('change', (e) => {
+            this.state.paperSize = e.target.value;
+            this.elements.customPaperInputs.classList.toggle('hidden', this.state.paperSize !== 'custom');
+            this.updateGridInfo();
+        });
+
         // Size inputs
         const updateSizeDebounced = Utils.debounce(() => this.updateGridInfo(), 300);
         
@@ -183,6 +465,31 @@ class BulletinBoardDesigner {
             updateSizeDebounced();
         });
 
+        this.elements.customPaperWidth.addEventListener('input', (e) => {
+            this.state.customPaper.widthMm = Utils.clamp(parseFloat(e.target.value) || 210, 50, 1000);
+            updateSizeDebounced();
+        });
+
+        this.elements.customPaperHeight.addEventListener('input', (e) => {
+            this.state.customPaper.heightMm = Utils.clamp(parseFloat(e.target.value) || 297, 50, 1000);
+            updateSizeDebounced();
+        });
+
+        // Printer margin preset select
+        this.elements.marginPresetSelect.addEventListener('change', (e) => {
+            this.state.marginPreset = e.target.value;
+            this.elements.customMarginInputs.classList.toggle('hidden', this.state.marginPreset !== 'custom');
+            this.updateGridInfo();
+        });
+
+        this.elements.marginInputs.forEach(input => {
+            input.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value) || 0;
+                this.state.customMargins[input.dataset.side] = Utils.clamp(value, 0, 30);
+                updateSizeDebounced();
+            });
+        });
+
         // Overlap slider
         this.elements.overlapRange.addEventListener('input', (e) => {
             this.state.overlap = parseInt(e.target.value);
@@ -190,9 +497,209 @@ class BulletinBoardDesigner {
             this.updateGridInfo();
         });
 
+        // Lettering settings
+        this.elements.letteringControls.addEventListener('input', (e) => {
+            const prop = e.target.dataset.lettering;
+            if (!prop) return;
+
+            let value = e.target.value;
+            if (e.target.type === 'checkbox') {
+                value = e.target.checked;
+            } else if (e.target.type === 'range' || e.target.type === 'number') {
+                value = parseFloat(value) || 0;
+            }
+            if (prop === 'heightCm') {
+                value = Utils.clamp(value || 25, 1, 500);
+            }
+            this.state.lettering[prop] = value;
+
+            const valueLabel = this.elements.letteringControls.querySelector(`[data-lettering-value="${prop}"]`);
+            if (valueLabel) {
+                valueLabel.textContent = `${value}mm`;
+            }
+            updateSizeDebounced();
+        });
+
+        // Crop mark and guide settings
+        this.elements.guideControls.addEventListener('input', (e) => {
+            const prop = e.target.dataset.guides;
+            if (!prop) return;
+
+            let value = e.target.value;
+            if (e.target.type === 'checkbox') {
+                value = e.target.checked;
+            } else if (e.target.type === 'range') {
+                value = parseFloat(value);
+            }
+            this.state.guides[prop] = value;
+
+            this.elements.guideOptions.classList.toggle('hidden', !this.state.guides.enabled);
+            const valueLabel = this.elements.guideControls.querySelector(`[data-guides-value="${prop}"]`);
+            if (valueLabel) {
+                valueLabel.textContent = `${value}mm`;
+            }
+            this.handleStateChange();
+        });
+
+        // Border settings
+        this.elements.borderControls.addEventListener('input', (e) => {
+            const prop = e.target.dataset.border;
+            if (!prop) return;
+
+            let value = e.target.value;
+            if (e.target.type === 'number') {
+                value = Utils.clamp(parseFloat(value) || 1, 0.5, 50);
+            }
+            this.state.border[prop] = value;
+
+            if (prop === 'pattern') {
+                this.elements.borderMotifBtn.classList.toggle('hidden', value !== 'motif');
+                if (value === 'motif' && !this.state.border.motif) {
+                    this.elements.borderMotifInput.click();
+                }
+            }
+            updateSizeDebounced();
+        });
+
+        this.elements.borderMotifBtn.addEventListener('click', () => {
+            this.elements.borderMotifInput.click();
+        });
+
+        this.elements.borderMotifInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                this.state.border.motif = await Utils.loadImageFromFile(file);
+                this.elements.borderMotifBtn.textContent = file.name;
+                this.updateGridInfo();
+            } catch (error) {
+                console.error('Error loading motif image:', error);
+                alert('Failed to load image. Please try another file.');
+            }
+        });
+
+        // Fit mode select
+        this.elements.fitModeSelect.addEventListener('change', (e) => {
+            this.state.fitMode = e.target.value;
+            this.updateGridInfo();
+        });
+
         // Algorithm select
         this.elements.algorithmSelect.addEventListener('change', (e) => {
             this.state.algorithm = e.target.value;
+            this.handleStateChange();
+        });
+
+        // Layers
+        this.composition.onChange = () => {
+            this.renderLayerPanel();
+            this.drawPreview();
+            this.handleStateChange();
+        };
+
+        this.elements.addImageLayerBtn.addEventListener('click', () => {
+            this.elements.layerImageInput.click();
+        });
+
+        this.elements.layerImageInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const image = await Utils.loadImageFromFile(file);
+                this.composition.addImageLayer(image, file.name);
+            } catch (error) {
+                console.error('Error loading layer image:', error);
+                alert('Failed to load image. Please try another file.');
+            }
+        });
+
+        this.elements.addTextLayerBtn.addEventListener('click', () => {
+            this.composition.addTextLayer();
+        });
+
+        this.elements.addShapeLayerBtn.addEventListener('click', () => {
+            this.composition.addShapeLayer();
+        });
+
+        this.elements.layerList.addEventListener('click', (e) => {
+            const item = e.target.closest('.layer-item');
+            if (!item) return;
+
+            const id = item.dataset.id;
+            switch (e.target.dataset.action) {
+                case 'forward':
+                    this.composition.moveLayer(id, 1);
+                    break;
+                case 'backward':
+                    this.composition.moveLayer(id, -1);
+                    break;
+                case 'delete':
+                    this.composition.removeLayer(id);
+                    break;
+                default:
+                    this.composition.selectLayer(id);
+            }
+        });
+
+        this.elements.layerProperties.addEventListener('input', (e) => {
+            const prop = e.target.dataset.prop;
+            const selected = this.composition.getSelectedLayer();
+            if (!prop || !selected) return;
+
+            let value = e.target.value;
+            if (e.target.type === 'checkbox') {
+                value = e.target.checked;
+            } else if (e.target.type === 'range') {
+                value = parseFloat(value);
+            }
+            this.composition.updateLayer(selected.id, { [prop]: value });
+        });
+
+        // Redraw text layers once their web fonts arrive
+        if (document.fonts) {
+            document.fonts.addEventListener('loadingdone', () => this.drawPreview());
+        }
+
+        // Sharpening sliders
+        this.elements.sharpenAmountRange.addEventListener('input', (e) => {
+            this.state.sharpenAmount = parseInt(e.target.value);
+            this.elements.sharpenAmountValue.textContent =
+                this.state.sharpenAmount > 0 ? `${this.state.sharpenAmount}%` : 'Off';
+            this.handleStateChange();
+        });
+
+        this.elements.sharpenRadiusRange.addEventListener('input', (e) => {
+            this.state.sharpenRadius = parseFloat(e.target.value);
+            this.elements.sharpenRadiusValue.textContent = `${this.state.sharpenRadius}px`;
+            this.handleStateChange();
+        });
+
+        // PDF settings
+        this.elements.pdfImageFormatSelect.addEventListener('change', (e) => {
+            this.state.pdfExport.imageFormat = e.target.value;
+            this.elements.pdfJpegQuality.classList.toggle('hidden', e.target.value !== 'jpeg');
+            this.handleStateChange();
+        });
+
+        this.elements.pdfJpegQualityRange.addEventListener('input', (e) => {
+            this.state.pdfExport.jpegQuality = parseInt(e.target.value);
+            this.elements.pdfJpegQualityValue.textContent = `${this.state.pdfExport.jpegQuality}%`;
+            this.handleStateChange();
+        });
+
+        this.elements.pdfOutputIntentCheckbox.addEventListener('change', (e) => {
+            this.state.pdfExport.outputIntent = e.target.checked;
+            this.handleStateChange();
+        });
+
+        this.elements.pdfBleedRange.addEventListener('input', (e) => {
+            this.state.pdfExport.bleedMm = parseInt(e.target.value);
+            this.elements.pdfBleedValue.textContent = `${this.state.pdfExport.bleedMm}mm`;
+            this.handleStateChange();
         });
 
         // Generate button
@@ -214,6 +721,32 @@ class BulletinBoardDesigner {
             this.exportPdf();
         });
 
+        this.elements.exportPosterBtn.addEventListener('click', () => {
+            this.exportPosterPdf();
+        });
+
+        // Progress modal
+        this.elements.progressCancelBtn.addEventListener('click', () => {
+            this.cancelOperation();
+        });
+
+        // Project files
+        this.elements.openProjectBtn.addEventListener('click', () => {
+            this.elements.projectInput.click();
+        });
+
+        this.elements.projectInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.openProject(file);
+            }
+        });
+
+        this.elements.saveProjectBtn.addEventListener('click', () => {
+            this.saveProject();
+        });
+
         // Help modal
         this.elements.helpBtn.addEventListener('click', () => {
             this.elements.helpModal.classList.remove('hidden');
@@ -233,6 +766,39 @@ class BulletinBoardDesigner {
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.elements.helpModal.classList.add('hidden');
+                this.cancelOperation();
+            }
+
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+                e.preventDefault();
+                this.saveProject();
+                return;
+            }
+
+            // Text fields keep the browser's own undo for what is being typed
+            const editingText = e.target.tagName === 'TEXTAREA' ||
+                (e.target.tagName === 'INPUT' && ['text', 'number'].includes(e.target.type));
+            const inEditor = !this.elements.editorSection.classList.contains('hidden');
+            if ((e.ctrlKey || e.metaKey) && inEditor && !editingText) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undo();
+                    return;
+                }
+                if ((key === 'z' && e.shiftKey) || key === 'y') {
+                    e.preventDefault();
+                    this.redo();
+                    return;
+                }
+            }
+
+            // Delete the selected layer unless the key is for a form field
+            const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+            const selected = this.state.mode === 'image' && this.composition.getSelectedLayer();
+            if ((e.key === 'Delete' || e.key === 'Backspace') && selected && !typing) {
+                e.preventDefault();
+                this.composition.removeLayer(selected.id);
             }
         });
     }
@@ -242,12 +808,103 @@ class BulletinBoardDesigner {
         if (!support.allSupported) {
             console.warn('Some features may not be supported:', support.supported);
         }
+
+        // Without its library a feature would fail silently, so say so up front
+        const missing = support.missingEngines;
+        if (!missing.length) return;
+
+        console.error('Libraries failed to load:', missing.map(engine => engine.file));
+        missing.forEach(engine => {
+            (ENGINE_BUTTONS[engine.id] || []).forEach(id => {
+                this.elements[id].disabled = true;
+                this.elements[id].title = `Unavailable: ${engine.name} did not load`;
+            });
+        });
+
+        const notice = this.elements.engineNotice;
+        notice.innerHTML = '<strong>Some features are unavailable.</strong><ul></ul><span></span>';
+        missing.forEach(engine => {
+            const item = document.createElement('li');
+            item.textContent = `${engine.features}: ${engine.name} could not be loaded from ${engine.file}`;
+            notice.querySelector('ul').appendChild(item);
+        });
+        notice.querySelector('span').textContent =
+            'Keep the vendor folder next to index.html when copying the app.';
+        notice.classList.remove('hidden');
+    }
+
+    /**
+     * Cache the app for offline use and installation
+     */
+    registerServiceWorker() {
+        // Service workers need http(s); opened from file:// the app simply runs without one
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Offline support unavailable:', error);
+        });
+    }
+
+    /**
+     * Open files the installed app was launched with, from the OS or a share sheet
+     */
+    bindLaunchHandlers() {
+        if ('launchQueue' in window) {
+            window.launchQueue.setConsumer(async (launchParams) => {
+                if (!launchParams.files || !launchParams.files.length) return;
+                const file = await launchParams.files[0].getFile();
+                this.openLaunchedFile(file);
+            });
+        }
+
+        if (new URLSearchParams(location.search).has('shared')) {
+            // Drop the query so a reload doesn't look for the file again
+            history.replaceState(null, '', location.pathname);
+            this.openSharedFile();
+        }
+    }
+
+    /**
+     * Pick up the file the service worker received from the share target
+     */
+    async openSharedFile() {
+        if (!('caches' in window)) return;
+
+        try {
+            const cache = await caches.open(SHARED_FILE_CACHE);
+            const response = await cache.match(SHARED_FILE_URL);
+            if (!response) return;
+            await cache.delete(SHARED_FILE_URL);
+
+            const blob = await response.blob();
+            const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-image');
+            this.openLaunchedFile(new File([blob], name, { type: blob.type }));
+        } catch (error) {
+            console.error('Error opening shared file:', error);
+            alert('Failed to open the shared file. Please try again.');
+        }
+    }
+
+    /**
+     * Open a file from outside the app as a new project, keeping the current one in the recent list
+     * @param {File} file
+     */
+    async openLaunchedFile(file) {
+        await this.autosave();
+        this.projectId = null;
+        await this.handleFileSelect(file);
     }
 
     async handleFileSelect(file) {
+        if (ProjectFile.isProjectFile(file)) {
+            await this.openProject(file);
+            return;
+        }
+
         // Validate file type
-        if (!file.type.startsWith('image/')) {
-            alert('Please select an image file (JPG, PNG, WebP, BMP)');
+        const isVector = VectorSource.isVectorFile(file);
+        if (!isVector && !file.type.startsWith('image/')) {
+            alert('Please select an image file (JPG, PNG, WebP, BMP, SVG) or a PDF');
             return;
         }
 
@@ -258,22 +915,14 @@ class BulletinBoardDesigner {
         }
 
         try {
-            this.state.originalFile = file;
-            
-            // Load and display image
-            const image = await Utils.loadImageFromFile(file);
-            this.state.originalImage = image;
-            this.imageProcessor.setImage(image);
-
-            // Update info badges
-            this.elements.imageDimensions.textContent = Utils.formatDimensions(
-                image.naturalWidth,
-                image.naturalHeight
-            );
-            this.elements.imageSize.textContent = Utils.formatFileSize(file.size);
+            await this.setSourceFile(file);
 
-            // Update grid info
-            this.updateGridInfo();
+            // From the upload screen this starts a new project; "Change image" keeps the current one
+            this.startAutosave(this.projectId);
+
+            // A new image always starts an image board; this also updates the grid info
+            this.setMode('image');
+            this.resetHistory();
 
             // Show editor section FIRST so container has dimensions
             this.showSection('editor');
@@ -290,141 +939,1288 @@ class BulletinBoardDesigner {
         }
     }
 
-    updatePreview() {
-        if (!this.state.originalImage) return;
+    /**
+     * Load an image, SVG or PDF as the board's source; clears any crop
+     * @param {File} file
+     */
+    async setSourceFile(file) {
+        // Vector files keep their artwork for rendering at print size
+        const vectorSource = VectorSource.isVectorFile(file) ? await VectorSource.fromFile(file) : null;
+        const image = vectorSource ? vectorSource.previewImage : await Utils.loadImageFromFile(file);
+
+        this.state.originalFile = file;
+        this.state.originalImage = image;
+        this.state.vectorSource = vectorSource;
+        this.imageProcessor.setImage(image, vectorSource);
+        this.cropEditor.setImage(image);
+        this.setCropEnabled(false);
+
+        // Resampling settings don't apply to vector artwork
+        this.elements.algorithmSelect.disabled = Boolean(vectorSource);
+        this.elements.sharpenAmountRange.disabled = Boolean(vectorSource);
+        this.elements.sharpenRadiusRange.disabled = Boolean(vectorSource);
+
+        // Update info badges
+        this.elements.imageDimensions.textContent = vectorSource
+            ? `${vectorSource.type.toUpperCase()} (vector)`
+            : Utils.formatDimensions(image.naturalWidth, image.naturalHeight);
+        this.elements.imageSize.textContent = Utils.formatFileSize(file.size);
+    }
 
-        const canvas = this.elements.previewCanvas;
-        const container = this.elements.previewContainer;
-        const ctx = canvas.getContext('2d');
+    /**
+     * Forget the source image, for projects that don't have one
+     */
+    clearSource() {
+        this.setCropEnabled(false);
+        this.state.originalFile = null;
+        this.state.originalImage = null;
+        this.state.vectorSource = null;
+        this.imageProcessor.setImage(null);
+        this.cropEditor.setImage(null);
+    }
 
-        const img = this.state.originalImage;
-        
-        // Get container dimensions, with fallbacks if still 0
-        let containerWidth = container.clientWidth;
-        let containerHeight = container.clientHeight;
-        
-        // Fallback dimensions if container hasn't rendered yet
-        if (containerWidth === 0 || containerHeight === 0) {
-            containerWidth = 600;
-            containerHeight = 400;
+    /**
+     * Human-readable project name, from the source file, the lettering or the mode
+     */
+    getProjectTitle() {
+        const { mode, originalFile, lettering, targetWidth, targetHeight } = this.state;
+        if (mode === 'image' && originalFile) {
+            return originalFile.name.replace(/\.[^.]+$/, '');
         }
+        if (mode === 'lettering') {
+            return `Lettering ${lettering.text}`;
+        }
+        if (mode === 'border') {
+            return `Border ${targetWidth} × ${targetHeight} cm`;
+        }
+        return 'Bulletin board';
+    }
 
-        // Calculate scale to fit container while maintaining aspect ratio
-        const scale = Math.min(
-            containerWidth / img.naturalWidth,
-            containerHeight / img.naturalHeight,
-            1 // Don't upscale for preview
-        );
-
-        // Ensure minimum dimensions
-        canvas.width = Math.max(Math.round(img.naturalWidth * scale), 100);
-        canvas.height = Math.max(Math.round(img.naturalHeight * scale), 100);
+    /**
+     * Name for saved files
+     */
+    getProjectName() {
+        return this.getProjectTitle().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'bulletin-board';
+    }
 
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    /**
+     * Copy of the state without loaded files or images, safe to turn into JSON
+     * @returns {Object}
+     */
+    getSettings() {
+        const settings = {};
+        Object.entries(this.state).forEach(([key, value]) => {
+            if (!TRANSIENT_STATE_KEYS.includes(key)) {
+                settings[key] = value;
+            }
+        });
+        // The motif is an image; projects keep it as an asset and the history by reference
+        settings.border = { ...settings.border, motif: null };
+        return JSON.parse(JSON.stringify(settings));
     }
 
-    updateGridInfo() {
-        if (!this.state.originalImage) {
-            this.elements.gridCols.textContent = '-';
-            this.elements.gridRows.textContent = '-';
-            this.elements.totalPages.textContent = '-';
-            this.elements.upscaleFactor.textContent = '-';
-            return;
+    /**
+     * Describe the whole design: JSON-safe settings plus the images it uses
+     * @returns {Object} { project, assets } with assets as Blobs keyed by asset name
+     */
+    createProject() {
+        const assets = {};
+        const settings = this.getSettings();
+
+        let source = null;
+        const file = this.state.originalFile;
+        if (file) {
+            const asset = ProjectFile.assetName('source', file.type, file.name);
+            assets[asset] = file;
+            source = { name: file.name, type: file.type, asset };
         }
 
-        const targetWidthMm = Utils.cmToMm(this.state.targetWidth);
-        const targetHeightMm = Utils.cmToMm(this.state.targetHeight);
+        let motif = null;
+        if (this.state.border.motif) {
+            const blob = Utils.dataUrlToBlob(this.state.border.motif.src);
+            motif = ProjectFile.assetName('motif', blob.type);
+            assets[motif] = blob;
+        }
 
-        const gridConfig = Utils.calculateGridDimensions(
-            targetWidthMm,
-            targetHeightMm,
-            this.state.dpi,
-            this.state.orientation,
-            this.state.overlap
-        );
+        const layers = this.composition.layers.map(({ image, src, ...layer }) => {
+            if (layer.type !== 'image') return layer;
+            const blob = Utils.dataUrlToBlob(src);
+            const asset = ProjectFile.assetName(`layer-${layer.id}`, blob.type);
+            assets[asset] = blob;
+            return { ...layer, asset };
+        });
 
-        const upscaleFactor = Utils.calculateUpscaleFactor(
-            this.state.originalImage.naturalWidth,
-            this.state.originalImage.naturalHeight,
-            gridConfig.targetWidthPx,
-            gridConfig.targetHeightPx
-        );
+        return {
+            project: {
+                source,
+                motif,
+                layers,
+                settings
+            },
+            assets
+        };
+    }
 
-        this.elements.gridCols.textContent = gridConfig.cols;
-        this.elements.gridRows.textContent = gridConfig.rows;
-        this.elements.totalPages.textContent = gridConfig.totalPages;
-        this.elements.upscaleFactor.textContent = upscaleFactor.toFixed(1) + '×';
+    async saveProject() {
+        try {
+            const { project, assets } = this.createProject();
+            const blob = await ProjectFile.write(project, assets);
+            Utils.downloadBlob(blob, `${this.getProjectName()}${PROJECT_EXTENSION}`);
+        } catch (error) {
+            console.error('Error saving project:', error);
+            alert('Failed to save the project. Please try again.');
+        }
+    }
 
-        // Store config for later use
-        this.currentGridConfig = gridConfig;
+    /**
+     * Open a saved .bbd project file
+     * @param {File} file
+     */
+    async openProject(file) {
+        try {
+            const { project, assets } = await ProjectFile.read(file);
+            await this.restoreProject(project, assets);
+            this.startAutosave();
+        } catch (error) {
+            console.error('Error opening project:', error);
+            alert(`Failed to open the project. ${error.message}`);
+        }
     }
 
-    showSection(section) {
-        this.elements.uploadSection.classList.add('hidden');
-        this.elements.editorSection.classList.add('hidden');
-        this.elements.gridSection.classList.add('hidden');
+    /**
+     * Called after any edit to the design
+     */
+    handleStateChange() {
+        this.scheduleAutosave();
+        this.recordHistoryDebounced();
+    }
 
-        switch (section) {
-            case 'upload':
-                this.elements.uploadSection.classList.remove('hidden');
-                break;
-            case 'editor':
-                this.elements.editorSection.classList.remove('hidden');
-                break;
-            case 'grid':
-                this.elements.gridSection.classList.remove('hidden');
-                break;
-        }
+    /**
+     * Everything undo/redo brings back: the settings, the border motif and the layers
+     * @returns {Object} { settings, motif, layers, key } where key compares snapshots
+     */
+    captureSnapshot() {
+        const settings = this.getSettings();
+        const layers = this.composition.layers.map(layer => ({ ...layer }));
+        // Images never change for a layer id, so they are left out of the comparison
+        const layerProps = layers.map(({ image, src, ...layer }) => layer);
+        return {
+            settings,
+            motif: this.state.border.motif,
+            layers,
+            key: JSON.stringify({ settings, layers: layerProps })
+        };
     }
 
-    showProgress(title, text) {
-        this.elements.progressTitle.textContent = title;
-        this.elements.progressText.textContent = text;
-        this.elements.progressFill.style.width = '0%';
-        this.elements.progressPercent.textContent = '0%';
-        this.elements.progressModal.classList.remove('hidden');
+    /**
+     * Turn the edits since the last undo step into a new step
+     */
+    recordHistory() {
+        const before = this.historySnapshot;
+        const after = this.captureSnapshot();
+        if (!before || (after.key === before.key && after.motif === before.motif)) return;
+
+        this.historySnapshot = after;
+        this.history.push({
+            label: this.describeChange(before, after),
+            undo: () => this.applySnapshot(before),
+            redo: () => this.applySnapshot(after)
+        });
     }
 
-    updateProgress(percent) {
-        this.elements.progressFill.style.width = `${percent}%`;
-        this.elements.progressPercent.textContent = `${Math.round(percent)}%`;
+    /**
+     * Start the history afresh from the current state, e.g. for a new image whose crop
+     * and layers the old steps would not fit
+     */
+    resetHistory() {
+        this.history.clear();
+        this.historySnapshot = this.captureSnapshot();
     }
 
-    hideProgress() {
-        this.elements.progressModal.classList.add('hidden');
+    /**
+     * Name of what changed between two snapshots, for the undo/redo tooltips
+     */
+    describeChange(before, after) {
+        const changed = Object.keys(after.settings).find(key =>
+            JSON.stringify(after.settings[key]) !== JSON.stringify(before.settings[key]));
+        if (changed) return HISTORY_LABELS[changed] || 'edit';
+        return after.motif !== before.motif ? HISTORY_LABELS.border : HISTORY_LABELS.layers;
     }
 
-    async generateGrid() {
-        if (!this.state.originalImage || !this.currentGridConfig) {
-            alert('Please load an image first');
+    undo() {
+        // Edits still waiting for their step are undone first
+        this.recordHistory();
+        this.history.undo();
+    }
+
+    redo() {
+        this.recordHistory();
+        this.history.redo();
+    }
+
+    /**
+     * Put the editor back to a snapshot from captureSnapshot()
+     * @param {Object} snapshot
+     */
+    applySnapshot(snapshot) {
+        this.applyProjectSettings(JSON.parse(JSON.stringify(snapshot.settings)));
+        this.state.border.motif = snapshot.motif;
+        // Copies, so later edits to the layers don't change the snapshot
+        this.composition.setLayers(snapshot.layers.map(layer => ({ ...layer })));
+
+        const crop = this.state.crop;
+        this.syncControls();
+        this.setMode(this.state.mode);
+        if (this.state.mode === 'image') {
+            this.setCropEnabled(Boolean(crop));
+            if (crop) this.cropEditor.setCrop(crop);
+        }
+
+        // The crop editor may adjust the crop slightly; compare later edits with what is shown
+        this.historySnapshot = this.captureSnapshot();
+    }
+
+    updateHistoryButtons() {
+        const { undoBtn, redoBtn } = this.elements;
+        const undoLabel = this.history.getUndoLabel();
+        const redoLabel = this.history.getRedoLabel();
+
+        undoBtn.disabled = !undoLabel;
+        undoBtn.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.disabled = !redoLabel;
+        redoBtn.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    /**
+     * Autosave the session from now on, as a new recent project unless an id is given
+     * @param {string|null} id
+     */
+    startAutosave(id = null) {
+        this.projectId = id || Utils.generateId();
+        this.scheduleAutosave();
+    }
+
+    scheduleAutosave() {
+        if (this.projectStore && this.projectId) {
+            this.autosaveDebounced();
+        }
+    }
+
+    /**
+     * Save the session to the recent projects; failures only cost the autosave, so they are logged
+     */
+    async autosave() {
+        if (!this.projectStore || !this.projectId) return;
+
+        try {
+            const { project, assets } = this.createProject();
+            await this.projectStore.save({
+                id: this.projectId,
+                name: this.getProjectTitle(),
+                thumbnail: this.createThumbnail(),
+                project,
+                assets
+            });
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+        }
+    }
+
+    /**
+     * Small JPEG of the preview for the recent projects list
+     * @returns {string|null} Data URL
+     */
+    createThumbnail() {
+        const preview = this.elements.previewCanvas;
+        if (!preview.width || !preview.height) return null;
+
+        const scale = Math.min(1, RECENT_THUMBNAIL_SIZE / Math.max(preview.width, preview.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(preview.width * scale));
+        canvas.height = Math.max(1, Math.round(preview.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(preview, 0, 0, canvas.width, canvas.height);
+
+        const thumbnail = canvas.toDataURL('image/jpeg', 0.8);
+        Utils.releaseCanvas(canvas);
+        return thumbnail;
+    }
+
+    /**
+     * List autosaved projects on the upload screen
+     */
+    async renderRecentProjects() {
+        const { recentProjects, recentProjectList } = this.elements;
+        let records = [];
+        if (this.projectStore) {
+            try {
+                records = await this.projectStore.list();
+            } catch (error) {
+                console.warn('Recent projects are unavailable:', error);
+            }
+        }
+
+        recentProjects.classList.toggle('hidden', records.length === 0);
+        recentProjectList.innerHTML = '';
+        records.forEach(record => {
+            const item = document.createElement('li');
+            item.className = 'recent-project';
+            item.dataset.id = record.id;
+            item.title = `Open ${record.name}`;
+            item.innerHTML = `
+                <div class="recent-project-thumb"></div>
+                <span class="recent-project-name"></span>
+                <span class="recent-project-date"></span>
+                <button class="recent-project-delete" title="Remove from recent projects">×</button>
+            `;
+            if (record.thumbnail) {
+                const img = document.createElement('img');
+                img.src = record.thumbnail;
+                img.alt = '';
+                item.querySelector('.recent-project-thumb').appendChild(img);
+            }
+            item.querySelector('.recent-project-name').textContent = record.name;
+            item.querySelector('.recent-project-date').textContent = new Date(record.updatedAt)
+                .toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+            recentProjectList.appendChild(item);
+        });
+    }
+
+    /**
+     * Continue an autosaved project
+     * @param {string} id
+     */
+    async openRecentProject(id) {
+        try {
+            const record = await this.projectStore.get(id);
+            if (!record) {
+                throw new Error('It is no longer in the recent projects.');
+            }
+            await this.restoreProject(record.project, new Map(Object.entries(record.assets)));
+            this.startAutosave(id);
+        } catch (error) {
+            console.error('Error opening recent project:', error);
+            alert(`Failed to open the project. ${error.message}`);
+            this.renderRecentProjects();
+        }
+    }
+
+    async deleteRecentProject(id) {
+        try {
+            await this.projectStore.delete(id);
+        } catch (error) {
+            console.warn('Failed to remove recent project:', error);
+        }
+        this.renderRecentProjects();
+    }
+
+    /**
+     * Bring back a design from createProject()
+     * @param {Object} project
+     * @param {Map} assets - Blobs keyed by asset name
+     */
+    async restoreProject(project, assets) {
+        const loadAsset = (name) => {
+            if (!assets.has(name)) {
+                throw new Error(`The project is missing ${name}`);
+            }
+            return Utils.loadImageFromFile(assets.get(name));
+        };
+
+        // Load every image before anything changes, so a broken project leaves the session alone
+        const layers = await Promise.all((project.layers || []).map(async ({ asset, ...layer }) => {
+            if (layer.type !== 'image') return layer;
+            const image = await loadAsset(asset);
+            return { ...layer, image, src: image.src };
+        }));
+        const motif = project.motif ? await loadAsset(project.motif) : null;
+
+        // The source goes first: loading it resets the crop
+        if (project.source) {
+            if (!assets.has(project.source.asset)) {
+                throw new Error('The project is missing its image');
+            }
+            const blob = assets.get(project.source.asset);
+            await this.setSourceFile(new File([blob], project.source.name, { type: project.source.type }));
+        } else {
+            this.clearSource();
+        }
+
+        this.applyProjectSettings(project.settings || {});
+        this.state.border.motif = motif;
+        this.composition.setLayers(layers);
+
+        // A saved crop is shown in the crop editor, ready to adjust
+        const crop = this.state.crop;
+        if (!this.state.originalImage && this.state.mode === 'image') {
+            this.state.mode = 'lettering';
+        }
+        this.syncControls();
+        this.setMode(this.state.mode);
+        if (crop && this.state.mode === 'image') {
+            this.setCropEnabled(true);
+            this.cropEditor.setCrop(crop);
+        }
+        this.resetHistory();
+
+        this.showSection('editor');
+        requestAnimationFrame(() => {
+            this.updatePreview();
+        });
+    }
+
+    /**
+     * Copy saved settings into the state; settings a project doesn't know, or that are not
+     * valid, keep their current values
+     * @param {Object} settings
+     */
+    applyProjectSettings(settings) {
+        if (!settings || typeof settings !== 'object') return;
+
+        Object.entries(settings).forEach(([key, value]) => {
+            if (!Object.prototype.hasOwnProperty.call(this.state, key) || TRANSIENT_STATE_KEYS.includes(key)) return;
+
+            const setting = this.readProjectSetting(key, this.state[key], value);
+            if (setting !== undefined) {
+                this.state[key] = setting;
+            }
+        });
+    }
+
+    /**
+     * Check a saved setting against the value it replaces: it must have the same type, numbers
+     * must lie within PROJECT_NUMBER_RANGES, and objects are merged key by key
+     * @param {string} path - State path, such as 'customPaper.widthMm'
+     * @returns {*} The value to use, or undefined to keep the current one
+     */
+    readProjectSetting(path, current, value) {
+        const isObject = (item) => item !== null && typeof item === 'object' && !Array.isArray(item);
+
+        // The crop is null for the whole image, or a rectangle in source pixels
+        if (path === 'crop') {
+            if (value === null) return null;
+            const isRect = isObject(value) &&
+                ['x', 'y', 'width', 'height'].every(key => Number.isFinite(value[key])) &&
+                value.x >= 0 && value.y >= 0 && value.width > 0 && value.height > 0;
+            return isRect ? { x: value.x, y: value.y, width: value.width, height: value.height } : undefined;
+        }
+
+        if (isObject(current)) {
+            if (!isObject(value)) return undefined;
+
+            const merged = { ...current };
+            Object.keys(current).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(value, key)) return;
+                const setting = this.readProjectSetting(`${path}.${key}`, current[key], value[key]);
+                if (setting !== undefined) {
+                    merged[key] = setting;
+                }
+            });
+            return merged;
+        }
+
+        if (current === null || typeof value !== typeof current) return undefined;
+        if (typeof value === 'number') {
+            const [min, max] = PROJECT_NUMBER_RANGES[path] || [-Infinity, Infinity];
+            if (!Number.isFinite(value) || value < min || value > max) return undefined;
+        }
+        return value;
+    }
+
+    /**
+     * Make every control show the current state, after the state changed without user input
+     */
+    syncControls() {
+        const { state, elements } = this;
+
+        elements.targetWidth.value = state.targetWidth;
+        elements.targetHeight.value = state.targetHeight;
+        elements.presetBtns.forEach(btn => {
+            btn.classList.toggle('active',
+                parseInt(btn.dataset.width) === state.targetWidth && parseInt(btn.dataset.height) === state.targetHeight);
+        });
+        elements.dpiBtns.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.dpi) === state.dpi);
+        });
+        elements.orientationBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.orientation === state.orientation);
+        });
+
+        elements.paperSizeSelect.value = state.paperSize;
+        elements.customPaperInputs.classList.toggle('hidden', state.paperSize !== 'custom');
+        elements.customPaperWidth.value = state.customPaper.widthMm;
+        elements.customPaperHeight.value = state.customPaper.heightMm;
+
+        elements.marginPresetSelect.value = state.marginPreset;
+        elements.customMarginInputs.classList.toggle('hidden', state.marginPreset !== 'custom');
+        elements.marginInputs.forEach(input => {
+            input.value = state.customMargins[input.dataset.side];
+        });
+
+        elements.overlapRange.value = state.overlap;
+        elements.overlapValue.textContent = `${state.overlap}mm`;
+        elements.fitModeSelect.value = state.fitMode;
+        elements.algorithmSelect.value = state.algorithm;
+        elements.pageGridToggleBtn.classList.toggle('active', state.showPageGrid);
+
+        elements.sharpenAmountRange.value = state.sharpenAmount;
+        elements.sharpenAmountValue.textContent = state.sharpenAmount > 0 ? `${state.sharpenAmount}%` : 'Off';
+        elements.sharpenRadiusRange.value = state.sharpenRadius;
+        elements.sharpenRadiusValue.textContent = `${state.sharpenRadius}px`;
+
+        elements.pdfImageFormatSelect.value = state.pdfExport.imageFormat;
+        elements.pdfJpegQuality.classList.toggle('hidden', state.pdfExport.imageFormat !== 'jpeg');
+        elements.pdfJpegQualityRange.value = state.pdfExport.jpegQuality;
+        elements.pdfJpegQualityValue.textContent = `${state.pdfExport.jpegQuality}%`;
+        elements.pdfOutputIntentCheckbox.checked = state.pdfExport.outputIntent;
+        elements.pdfBleedRange.value = state.pdfExport.bleedMm;
+        elements.pdfBleedValue.textContent = `${state.pdfExport.bleedMm}mm`;
+
+        elements.letteringControls.querySelectorAll('[data-lettering]').forEach(input => {
+            const value = state.lettering[input.dataset.lettering];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        });
+        elements.guideControls.querySelectorAll('[data-guides]').forEach(input => {
+            const value = state.guides[input.dataset.guides];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        });
+        elements.guideControls.querySelectorAll('[data-guides-value]').forEach(label => {
+            label.textContent = `${state.guides[label.dataset.guidesValue]}mm`;
+        });
+        elements.guideOptions.classList.toggle('hidden', !state.guides.enabled);
+
+        elements.letteringControls.querySelectorAll('[data-lettering-value]').forEach(label => {
+            label.textContent = `${state.lettering[label.dataset.letteringValue]}mm`;
+        });
+
+        elements.borderControls.querySelectorAll('[data-border]').forEach(input => {
+            input.value = state.border[input.dataset.border];
+        });
+        elements.borderMotifBtn.classList.toggle('hidden', state.border.pattern !== 'motif');
+        elements.borderMotifBtn.textContent = state.border.motif ? 'Change motif image' : 'Choose motif image';
+    }
+
+    updatePreview() {
+        if (this.state.mode === 'lettering') {
+            this.updateLetteringPreview();
+            return;
+        }
+        if (this.state.mode === 'border') {
+            this.updateBorderPreview();
+            return;
+        }
+        if (!this.state.originalImage) return;
+
+        const canvas = this.elements.previewCanvas;
+        const container = this.elements.previewContainer;
+
+        const img = this.state.originalImage;
+        
+        // Get container dimensions, with fallbacks if still 0
+        let containerWidth = container.clientWidth;
+        let containerHeight = container.clientHeight;
+        
+        // Fallback dimensions if container hasn't rendered yet
+        if (containerWidth === 0 || containerHeight === 0) {
+            containerWidth = 600;
+            containerHeight = 400;
+        }
+
+        // Letterboxed boards are previewed at board shape so the padding is visible
+        const config = this.currentGridConfig;
+        const showLetterbox = !this.state.crop && this.state.fitMode === 'contain' && config;
+        const layout = showLetterbox
+            ? ImageProcessor.calculateFitLayout(img.naturalWidth, img.naturalHeight, config.targetWidthPx, config.targetHeightPx, 'contain')
+            : null;
+        const sceneWidth = showLetterbox ? config.targetWidthPx : img.naturalWidth;
+        const sceneHeight = showLetterbox ? config.targetHeightPx : img.naturalHeight;
+
+        // Calculate scale to fit container while maintaining aspect ratio
+        const scale = Math.min(
+            containerWidth / sceneWidth,
+            containerHeight / sceneHeight,
+            showLetterbox ? img.naturalWidth / layout.drawWidth : 1 // Don't upscale for preview
+        );
+
+        // Ensure minimum dimensions; only resize when needed as resizing clears the canvas
+        const width = Math.max(Math.round(sceneWidth * scale), 100);
+        const height = Math.max(Math.round(sceneHeight * scale), 100);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        this.previewImageRect = showLetterbox
+            ? {
+                x: layout.drawX * (width / sceneWidth),
+                y: layout.drawY * (height / sceneHeight),
+                width: layout.drawWidth * (width / sceneWidth),
+                height: layout.drawHeight * (height / sceneHeight)
+            }
+            : { x: 0, y: 0, width, height };
+        this.previewLetterboxed = !!showLetterbox;
+
+        this.drawPreview();
+    }
+
+    /**
+     * Redraw the preview canvas at its current size, with crop and page grid overlays
+     */
+    drawPreview() {
+        if (this.state.mode === 'lettering') {
+            this.drawLetteringPreview();
+            return;
+        }
+        if (this.state.mode === 'border') {
+            this.drawBorderPreview();
+            return;
+        }
+        if (!this.state.originalImage || !this.previewImageRect) return;
+
+        const canvas = this.elements.previewCanvas;
+        const ctx = canvas.getContext('2d');
+        const imageRect = this.previewImageRect;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Letterbox padding prints white
+        if (this.previewLetterboxed) {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(this.state.originalImage, imageRect.x, imageRect.y, imageRect.width, imageRect.height);
+
+        const boardRect = this.getPreviewBoardRect();
+
+        // Composition layers, clipped to the board as they will print
+        if (boardRect && this.composition.hasLayers()) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(boardRect.x, boardRect.y, boardRect.width, boardRect.height);
+            ctx.clip();
+            this.composition.draw(ctx, boardRect);
+            ctx.restore();
+        }
+
+        if (this.state.crop) {
+            this.cropEditor.drawOverlay(ctx);
+        } else if (this.state.fitMode === 'cover' && boardRect) {
+            // Dim the parts that cover fitting will crop away
+            ctx.save();
+            ctx.fillStyle = 'rgba(15, 15, 26, 0.6)';
+            ctx.beginPath();
+            ctx.rect(0, 0, canvas.width, canvas.height);
+            ctx.rect(boardRect.x, boardRect.y, boardRect.width, boardRect.height);
+            ctx.fill('evenodd');
+            ctx.restore();
+        }
+
+        if (this.state.showPageGrid) {
+            this.drawPageGrid(ctx, boardRect);
+        }
+
+        if (!this.state.crop) {
+            this.layerEditor.drawOverlay(ctx);
+        }
+    }
+
+    /**
+     * Size the preview canvas to the lettering laid out as a word
+     */
+    updateLetteringPreview() {
+        const canvas = this.elements.previewCanvas;
+        const container = this.elements.previewContainer;
+        const containerWidth = container.clientWidth || 600;
+        const containerHeight = container.clientHeight || 400;
+
+        const word = Lettering.arrangeWord(this.letteringGlyphs);
+        const scale = Math.min(containerWidth / word.width, containerHeight / word.height);
+
+        const width = Math.max(Math.round(word.width * scale), 100);
+        const height = Math.max(Math.round(word.height * scale), 100);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        this.previewWord = { ...word, scale };
+        this.drawPreview();
+    }
+
+    drawLetteringPreview() {
+        const word = this.previewWord;
+        if (!word) return;
+
+        const canvas = this.elements.previewCanvas;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        this.drawLetteringBoards(ctx, word, word.scale, this.state.lettering, this.state.showPageGrid);
+    }
+
+    /**
+     * Draw each glyph on its white board, optionally with its pages
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} word - From Lettering.arrangeWord
+     * @param {number} scale - Canvas pixels per board pixel
+     * @param {Object} options - Lettering options
+     * @param {boolean} showPages - Draw page boundaries and numbers
+     */
+    drawLetteringBoards(ctx, word, scale, options, showPages) {
+        word.placements.forEach(({ glyph, x, y }) => {
+            const rect = {
+                x: x * scale,
+                y: y * scale,
+                width: glyph.config.targetWidthPx * scale,
+                height: glyph.config.targetHeightPx * scale
+            };
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+            this.lettering.drawGlyph(ctx, glyph, options, rect.x, rect.y, scale);
+
+            if (showPages) {
+                this.drawPageGrid(ctx, rect, glyph.config, glyph.firstPage);
+            }
+        });
+    }
+
+    /**
+     * Size the preview canvas to the board the border runs around
+     */
+    updateBorderPreview() {
+        const plan = this.borderPlan;
+        if (!plan) return;
+
+        const canvas = this.elements.previewCanvas;
+        const container = this.elements.previewContainer;
+        const containerWidth = container.clientWidth || 600;
+        const containerHeight = container.clientHeight || 400;
+
+        const scale = Math.min(containerWidth / plan.boardWidth, containerHeight / plan.boardHeight);
+        const width = Math.max(Math.round(plan.boardWidth * scale), 100);
+        const height = Math.max(Math.round(plan.boardHeight * scale), 100);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        this.drawPreview();
+    }
+
+    drawBorderPreview() {
+        const plan = this.borderPlan;
+        if (!plan) return;
+
+        const canvas = this.elements.previewCanvas;
+        const ctx = canvas.getContext('2d');
+        this.drawBorderScene(ctx, plan, this.state.border, canvas.width, canvas.height, this.state.showPageGrid);
+    }
+
+    /**
+     * Draw a corkboard of the given size with the border around it
+     * @param {boolean} showJoins - Mark and name the pieces of each side
+     */
+    drawBorderScene(ctx, plan, options, width, height, showJoins) {
+        ctx.fillStyle = '#d8c3a0';
+        ctx.fillRect(0, 0, width, height);
+        if (plan.fits) {
+            this.borderStrips.drawBorder(ctx, plan, options, { x: 0, y: 0, width, height }, showJoins);
+        }
+    }
+
+    /**
+     * Rebuild the layer list and the selected layer's property fields
+     */
+    renderLayerPanel() {
+        const { layerList, layerProperties } = this.elements;
+        const composition = this.composition;
+
+        // Topmost layer first
+        layerList.innerHTML = '';
+        [...composition.layers].reverse().forEach(layer => {
+            const item = document.createElement('li');
+            item.className = 'layer-item';
+            item.classList.toggle('active', layer.id === composition.selectedId);
+            item.dataset.id = layer.id;
+            item.innerHTML = `
+                <span class="layer-item-name"></span>
+                <button class="layer-item-btn" data-action="forward" title="Bring forward">↑</button>
+                <button class="layer-item-btn" data-action="backward" title="Send backward">↓</button>
+                <button class="layer-item-btn" data-action="delete" title="Delete layer">×</button>
+            `;
+            item.querySelector('.layer-item-name').textContent =
+                layer.type === 'text' ? (layer.text.split('\n')[0] || layer.name) : layer.name;
+            layerList.appendChild(item);
+        });
+
+        const selected = composition.getSelectedLayer();
+        layerProperties.classList.toggle('hidden', !selected);
+        if (!selected) return;
+
+        layerProperties.querySelectorAll('[data-layer-type]').forEach(group => {
+            group.classList.toggle('hidden', group.dataset.layerType !== selected.type);
+        });
+
+        layerProperties.querySelectorAll('[data-prop]').forEach(input => {
+            const value = selected[input.dataset.prop];
+            if (value === undefined) return;
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else if (input.value !== String(value)) {
+                input.value = value;
+            }
+        });
+    }
+
+    /**
+     * Get where the board lands on the preview canvas
+     * @returns {Object|null} { x, y, width, height } in canvas pixels
+     */
+    getPreviewBoardRect() {
+        const canvas = this.elements.previewCanvas;
+        const config = this.currentGridConfig;
+        const img = this.state.originalImage;
+        if (!config || !img || this.state.mode !== 'image') return null;
+
+        if (this.state.crop) {
+            return this.cropEditor.getDisplayRect();
+        }
+
+        if (this.state.fitMode === 'cover') {
+            const { crop } = ImageProcessor.calculateFitLayout(
+                img.naturalWidth, img.naturalHeight,
+                config.targetWidthPx, config.targetHeightPx,
+                'cover'
+            );
+            const scale = canvas.width / img.naturalWidth;
+            return {
+                x: crop.x * scale,
+                y: crop.y * scale,
+                width: crop.width * scale,
+                height: crop.height * scale
+            };
+        }
+
+        // Stretched and letterboxed boards fill the whole canvas
+        return { x: 0, y: 0, width: canvas.width, height: canvas.height };
+    }
+
+    /**
+     * Draw the page grid of the current config over a board rectangle on the preview:
+     * page boundaries, the overlap bands shared by neighbouring pages, and page numbers
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} rect - { x, y, width, height } of the board in canvas pixels
+     * @param {Object} config - Grid configuration of the board
+     * @param {number} firstPage - Number of the board's first page
+     */
+    drawPageGrid(ctx, rect, config = this.currentGridConfig, firstPage = 1) {
+        if (!config || !rect) return;
+
+        const {
+            cols,
+            rows,
+            targetWidthPx,
+            targetHeightPx,
+            contentWidthPx,
+            contentHeightPx,
+            effectiveWidthPx,
+            effectiveHeightPx,
+            overlapPx
+        } = config;
+        const scaleX = rect.width / targetWidthPx;
+        const scaleY = rect.height / targetHeightPx;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        ctx.clip();
+
+        // Overlap bands shared by neighbouring pages
+        if (overlapPx > 0) {
+            ctx.fillStyle = 'rgba(139, 92, 246, 0.35)';
+            for (let col = 1; col < cols; col++) {
+                const x = rect.x + col * effectiveWidthPx * scaleX;
+                ctx.fillRect(x, rect.y, overlapPx * scaleX, rect.height);
+            }
+            for (let row = 1; row < rows; row++) {
+                const y = rect.y + row * effectiveHeightPx * scaleY;
+                ctx.fillRect(rect.x, y, rect.width, overlapPx * scaleY);
+            }
+        }
+
+        // Page boundaries: where each page starts and where the previous one ends
+        const verticals = [];
+        const horizontals = [];
+        for (let col = 1; col < cols; col++) {
+            verticals.push(col * effectiveWidthPx, (col - 1) * effectiveWidthPx + contentWidthPx);
+        }
+        for (let row = 1; row < rows; row++) {
+            horizontals.push(row * effectiveHeightPx, (row - 1) * effectiveHeightPx + contentHeightPx);
+        }
+
+        ctx.lineWidth = 1;
+        [['rgba(0, 0, 0, 0.5)', []], ['rgba(255, 255, 255, 0.9)', [4, 4]]].forEach(([color, dash]) => {
+            ctx.strokeStyle = color;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            verticals.forEach(boardX => {
+                const x = Math.round(rect.x + boardX * scaleX) + 0.5;
+                ctx.moveTo(x, rect.y);
+                ctx.lineTo(x, rect.y + rect.height);
+            });
+            horizontals.forEach(boardY => {
+                const y = Math.round(rect.y + boardY * scaleY) + 0.5;
+                ctx.moveTo(rect.x, y);
+                ctx.lineTo(rect.x + rect.width, y);
+            });
+            ctx.stroke();
+        });
+
+        // Page numbers, centred on the part of each page that carries the board
+        const cellSize = Math.min(effectiveWidthPx * scaleX, effectiveHeightPx * scaleY);
+        const fontSize = Utils.clamp(Math.round(cellSize * 0.25), 9, 24);
+        ctx.font = `600 ${fontSize}px ${getComputedStyle(document.body).fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const boardX = col * effectiveWidthPx;
+                const boardY = row * effectiveHeightPx;
+                const visibleWidth = Math.min(contentWidthPx, targetWidthPx - boardX);
+                const visibleHeight = Math.min(contentHeightPx, targetHeightPx - boardY);
+                const centerX = rect.x + (boardX + visibleWidth / 2) * scaleX;
+                const centerY = rect.y + (boardY + visibleHeight / 2) * scaleY;
+
+                ctx.fillStyle = 'rgba(15, 15, 26, 0.7)';
+                ctx.beginPath();
+                ctx.arc(centerX, centerY, fontSize * 0.9, 0, Math.PI * 2);
+                ctx.fill();
+
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(String(firstPage + row * cols + col), centerX, centerY);
+            }
+        }
+
+        ctx.restore();
+
+        // Board outline
+        ctx.save();
+        ctx.strokeStyle = 'rgba(139, 92, 246, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(rect.x + 1, rect.y + 1, rect.width - 2, rect.height - 2);
+        ctx.restore();
+    }
+
+    /**
+     * Turn the interactive crop on or off
+     * @param {boolean} enabled
+     */
+    setCropEnabled(enabled) {
+        this.cropEditor.setAspectRatio(this.state.targetWidth / this.state.targetHeight);
+        this.cropEditor.setEnabled(enabled);
+
+        this.elements.cropToggleBtn.classList.toggle('active', enabled);
+        this.elements.cropResetBtn.classList.toggle('hidden', !enabled);
+        this.elements.cropHint.classList.toggle('hidden', !enabled);
+        this.elements.previewCanvas.classList.toggle('cropping', enabled);
+        this.elements.fitModeSelect.disabled = enabled;
+        this.layerEditor.setEnabled(!enabled);
+    }
+
+    /**
+     * Switch between printing an image board, giant letters and border strips
+     * @param {string} mode - 'image', 'lettering' or 'border'
+     */
+    setMode(mode) {
+        // There is nothing to show in image mode until an image is chosen
+        if (mode === 'image' && !this.state.originalImage) {
+            this.elements.fileInput.click();
             return;
         }
 
+        if (this.cropEditor.enabled) {
+            this.setCropEnabled(false);
+        }
+        this.state.mode = mode;
+
+        this.elements.modeBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+        // Panels list the modes they belong to, separated by spaces
+        this.elements.modePanels.forEach(panel => {
+            panel.classList.toggle('hidden', !panel.dataset.modePanel.split(' ').includes(mode));
+        });
+
+        const titles = { image: 'Original Image', lettering: 'Lettering Layout', border: 'Border Preview' };
+        this.elements.previewTitle.textContent = titles[mode];
+
+        const statLabels = {
+            image: ['Columns', 'Rows', 'Pages', 'Upscale'],
+            lettering: ['Letters', 'Pages/Letter', 'Pages', 'Height'],
+            border: ['Strips', 'Length', 'Pages', 'Width']
+        };
+        const labels = statLabels[mode];
+        this.elements.statLabels.forEach((label, i) => {
+            label.textContent = labels[i];
+        });
+
+        this.updateGridInfo();
+    }
+
+    /**
+     * Paper, margins, overlap and DPI shared by every mode
+     */
+    getPageSetup() {
+        return {
+            dpi: this.state.dpi,
+            orientation: this.state.orientation,
+            overlapMm: this.state.overlap,
+            paperSize: this.state.paperSize,
+            customPaper: this.state.customPaper,
+            margins: Utils.getPrinterMargins(this.state.marginPreset, this.state.customMargins)
+        };
+    }
+
+    /**
+     * Whether the paper has room to tile once the margins and overlap are taken off
+     */
+    hasPrintableArea() {
+        const { dpi, orientation, overlapMm, paperSize, customPaper, margins } = this.getPageSetup();
+        return Utils.calculateGridDimensions(1, 1, dpi, orientation, overlapMm, paperSize, customPaper, margins).fits;
+    }
+
+    updateLetteringInfo() {
+        const options = this.state.lettering;
+        const glyphs = this.lettering.layout(options, this.getPageSetup());
+        this.letteringGlyphs = glyphs;
+
+        const pages = glyphs.map(glyph => glyph.config.totalPages);
+        this.elements.gridCols.textContent = glyphs.length || '-';
+        this.elements.gridRows.textContent = glyphs.length ? Math.max(...pages) : '-';
+        this.elements.totalPages.textContent = glyphs.length ? pages.reduce((sum, n) => sum + n, 0) : '-';
+        this.elements.upscaleFactor.textContent = `${options.heightCm}cm`;
+
+        // Until the web font arrives the glyphs are measured in a fallback font; lay out again then
+        const font = Lettering.getFont(options, 16);
+        if (document.fonts && !document.fonts.check(font, options.text)) {
+            this.lettering.loadFont(options).then(() => this.updateGridInfo());
+        }
+
+        this.updatePreview();
+    }
+
+    updateBorderInfo() {
+        const options = this.state.border;
+        const plan = this.borderStrips.layout(
+            options,
+            this.state.targetWidth,
+            this.state.targetHeight,
+            this.getPageSetup()
+        );
+        this.borderPlan = plan;
+
+        const totalLength = plan.sides.reduce((sum, side) => sum + side.length, 0);
+        this.elements.gridCols.textContent = plan.fits ? plan.pieces.length : '-';
+        this.elements.gridRows.textContent = plan.fits ? `${(Utils.pixelsToMm(totalLength, plan.config.dpi) / 1000).toFixed(1)}m` : '-';
+        this.elements.totalPages.textContent = plan.fits ? plan.pages.length : 'Too wide';
+        this.elements.upscaleFactor.textContent = `${options.widthCm}cm`;
+
+        this.updatePreview();
+    }
+
+    updateGridInfo() {
+        this.handleStateChange();
+
+        if (!this.hasPrintableArea()) {
+            this.currentGridConfig = null;
+            this.elements.gridCols.textContent = '-';
+            this.elements.gridRows.textContent = '-';
+            this.elements.totalPages.textContent = 'No room';
+            this.elements.upscaleFactor.textContent = '-';
+            return;
+        }
+
+        if (this.state.mode === 'lettering') {
+            this.updateLetteringInfo();
+            return;
+        }
+        if (this.state.mode === 'border') {
+            this.updateBorderInfo();
+            return;
+        }
+
+        if (!this.state.originalImage) {
+            this.elements.gridCols.textContent = '-';
+            this.elements.gridRows.textContent = '-';
+            this.elements.totalPages.textContent = '-';
+            this.elements.upscaleFactor.textContent = '-';
+            return;
+        }
+
+        // Keep the crop locked to the board shape
+        this.cropEditor.setAspectRatio(this.state.targetWidth / this.state.targetHeight);
+
+        const targetWidthMm = Utils.cmToMm(this.state.targetWidth);
+        const targetHeightMm = Utils.cmToMm(this.state.targetHeight);
+
+        const gridConfig = Utils.calculateGridDimensions(
+            targetWidthMm,
+            targetHeightMm,
+            this.state.dpi,
+            this.state.orientation,
+            this.state.overlap,
+            this.state.paperSize,
+            this.state.customPaper,
+            Utils.getPrinterMargins(this.state.marginPreset, this.state.customMargins)
+        );
+
+        const source = this.state.crop || {
+            width: this.state.originalImage.naturalWidth,
+            height: this.state.originalImage.naturalHeight
+        };
+
+        const upscaleFactor = Utils.calculateUpscaleFactor(
+            source.width,
+            source.height,
+            gridConfig.targetWidthPx,
+            gridConfig.targetHeightPx,
+            this.state.fitMode
+        );
+
+        this.elements.gridCols.textContent = gridConfig.cols;
+        this.elements.gridRows.textContent = gridConfig.rows;
+        this.elements.totalPages.textContent = gridConfig.totalPages;
+        // Vector artwork is drawn at print resolution, so nothing is upscaled
+        this.elements.upscaleFactor.textContent = this.state.vectorSource
+            ? 'Vector'
+            : upscaleFactor.toFixed(1) + '×';
+
+        // Store config for later use
+        this.currentGridConfig = gridConfig;
+
+        this.updatePreview();
+    }
+
+    showSection(section) {
+        this.elements.uploadSection.classList.add('hidden');
+        this.elements.editorSection.classList.add('hidden');
+        this.elements.gridSection.classList.add('hidden');
+
+        switch (section) {
+            case 'upload':
+                this.elements.uploadSection.classList.remove('hidden');
+                break;
+            case 'editor':
+                this.elements.editorSection.classList.remove('hidden');
+                break;
+            case 'grid':
+                this.elements.gridSection.classList.remove('hidden');
+                // Lettering and borders are made of separate pieces; only image boards make one poster
+                this.elements.exportPosterBtn.classList.toggle('hidden', !this.printExporter.boardRenderer);
+                break;
+        }
+    }
+
+    /**
+     * Show the progress modal for a cancellable operation
+     * @returns {AbortSignal} Aborted when the user presses Cancel
+     */
+    showProgress(title, text) {
+        this.abortController = new AbortController();
+        this.elements.progressTitle.textContent = title;
+        this.elements.progressText.textContent = text;
+        this.elements.progressFill.style.width = '0%';
+        this.elements.progressPercent.textContent = '0%';
+        this.elements.progressCancelBtn.disabled = false;
+        this.elements.progressModal.classList.remove('hidden');
+        return this.abortController.signal;
+    }
+
+    updateProgress(percent) {
+        this.elements.progressFill.style.width = `${percent}%`;
+        this.elements.progressPercent.textContent = `${Math.round(percent)}%`;
+    }
+
+    hideProgress() {
+        this.abortController = null;
+        this.elements.progressModal.classList.add('hidden');
+    }
+
+    cancelOperation() {
+        if (!this.abortController) return;
+        this.abortController.abort();
+        this.elements.progressText.textContent = 'Cancelling...';
+        this.elements.progressCancelBtn.disabled = true;
+    }
+
+    async generateGrid() {
+        if (!this.hasPrintableArea()) {
+            alert(NO_PRINTABLE_AREA_MESSAGE);
+            return;
+        }
+        if (this.state.mode === 'lettering') {
+            await this.generateLettering();
+            return;
+        }
+        if (this.state.mode === 'border') {
+            await this.generateBorder();
+            return;
+        }
+
+        if (!this.state.originalImage || !this.currentGridConfig) {
+            alert('Please load an image first');
+            return;
+        }
+
+        let renderer = null;
+        this.releaseGenerated();
+
         try {
-            this.showProgress('Processing Image', 'Upscaling your image for high-quality printing...');
+            const signal = this.showProgress('Processing Image', `Upscaling into ${this.currentGridConfig.paper.label} tiles...`);
 
-            // Step 1: Upscale image
-            const upscaledCanvas = await this.imageProcessor.upscale(
+            // Step 1: Prepare a renderer that upscales any board region on demand
+            this.imageProcessor.setSharpening(this.state.sharpenAmount / 100, this.state.sharpenRadius);
+            renderer = this.imageProcessor.createBoardRenderer(
                 this.currentGridConfig.targetWidthPx,
                 this.currentGridConfig.targetHeightPx,
                 this.state.algorithm,
-                (progress) => this.updateProgress(progress * 0.6) // 60% for upscaling
+                this.state.fitMode,
+                this.state.crop
             );
 
-            this.elements.progressText.textContent = 'Splitting into A4 tiles...';
+            // Draw layers over every region of the board
+            if (this.composition.hasLayers()) {
+                await this.composition.loadFonts();
+                renderer = this.composition.createRenderer(renderer);
+            }
 
-            // Step 2: Split into tiles
+            // Step 2: Upscale each tile straight from the source region it covers,
+            // so the full-size board never has to fit in memory
             const config = {
                 ...this.currentGridConfig,
-                addCropMarks: true
+                addCropMarks: this.state.guides.enabled,
+                guides: { ...this.state.guides }
             };
 
             await this.gridSplitter.splitIntoTiles(
-                upscaledCanvas,
+                renderer,
                 config,
-                (progress) => this.updateProgress(60 + progress * 0.4) // 40% for splitting
+                (progress) => this.updateProgress(progress),
+                signal
             );
 
             // Step 3: Generate thumbnails
@@ -438,32 +2234,337 @@ class BulletinBoardDesigner {
                 `${config.cols} × ${config.rows} = ${config.totalPages} pages`;
             this.elements.overlapGuide.textContent = `${this.state.overlap}mm`;
 
-            // Get original image as data URL for assembly guide
-            const origCanvas = document.createElement('canvas');
-            origCanvas.width = this.state.originalImage.naturalWidth;
-            origCanvas.height = this.state.originalImage.naturalHeight;
-            const origCtx = origCanvas.getContext('2d');
-            origCtx.drawImage(this.state.originalImage, 0, 0);
-            const originalImageDataUrl = origCanvas.toDataURL('image/jpeg', 0.9);
+            // Picture of the finished board for the assembly guide
+            const originalImageDataUrl = this.createGuideImage();
 
             // Set up exporter with original image for assembly guide
-            this.printExporter.setTiles(this.gridSplitter.getTiles(), config, originalImageDataUrl);
+            this.printExporter.setTiles(
+                this.gridSplitter.getTiles(),
+                config,
+                originalImageDataUrl,
+                (tile, exportSignal) => this.gridSplitter.renderTile(tile, null, exportSignal),
+                (region, exportSignal) => renderer.renderRegion(region, null, exportSignal)
+            );
+            this.boardRenderer = renderer;
 
             this.hideProgress();
             this.showSection('grid');
 
         } catch (error) {
-            console.error('Error generating grid:', error);
             this.hideProgress();
+
+            // The splitter already released its tiles; drop the source copy too
+            if (renderer) renderer.release();
+            this.printExporter.reset();
+            if (Utils.isAbortError(error)) return;
+
+            console.error('Error generating grid:', error);
             alert('Failed to generate grid. Please try again.');
         }
     }
 
-    renderGridPreview(tiles) {
+    /**
+     * Free whatever the last generate made, in any mode, before the next one replaces it:
+     * the image grid's tiles and the board renderer with its copy of the source, and the
+     * lettering's splitters. Border pages keep only thumbnails, so they need nothing freed.
+     */
+    releaseGenerated() {
+        this.printExporter.reset();
+
+        this.gridSplitter.releaseTiles();
+        if (this.boardRenderer) {
+            this.boardRenderer.release();
+            this.boardRenderer = null;
+        }
+
+        this.letteringSplitters.forEach(splitter => splitter.releaseTiles());
+        this.letteringSplitters = [];
+    }
+
+    /**
+     * Render every glyph of the lettering onto its pages, one grid splitter per glyph
+     */
+    async generateLettering() {
+        if (!this.letteringGlyphs.length) {
+            alert('Please enter some text first');
+            return;
+        }
+
+        const options = { ...this.state.lettering };
+        const guides = { ...this.state.guides };
+        const splitters = [];
+        this.releaseGenerated();
+
+        try {
+            const signal = this.showProgress('Drawing Letters', 'Laying out the letters on pages...');
+
+            // Lay out again with the font certainly loaded, so no glyph is measured in a fallback
+            await this.lettering.loadFont(options);
+            const glyphs = this.lettering.layout(options, this.getPageSetup());
+            const totalPages = glyphs.reduce((sum, glyph) => sum + glyph.config.totalPages, 0);
+
+            const tiles = [];
+            const thumbnails = [];
+            const splitterOf = new Map();
+
+            for (const glyph of glyphs) {
+                const splitter = new GridSplitter();
+                splitters.push(splitter);
+
+                // Crop marks are only needed where pages are trimmed and joined
+                const spansPages = glyph.config.totalPages > 1;
+                const pagesBefore = glyph.firstPage - 1;
+
+                await splitter.splitIntoTiles(
+                    this.lettering.createRenderer(glyph, options),
+                    {
+                        ...glyph.config,
+                        addCropMarks: spansPages && guides.enabled,
+                        guides,
+                        firstPage: glyph.firstPage
+                    },
+                    (progress) => this.updateProgress(
+                        ((pagesBefore + glyph.config.totalPages * progress / 100) / totalPages) * 100
+                    ),
+                    signal
+                );
+
+                const letter = String(glyph.index + 1).padStart(2, '0');
+                splitter.getTiles().forEach(tile => {
+                    const position = `${String(tile.row + 1).padStart(2, '0')}-${String(tile.col + 1).padStart(2, '0')}`;
+                    tile.label = `Letter ${glyph.index + 1} (${glyph.character})` +
+                        (spansPages ? `, page ${tile.index + 1}` : '');
+                    tile.name = spansPages ? `letter-${letter}-${position}` : `letter-${letter}`;
+                    splitterOf.set(tile, splitter);
+                    tiles.push(tile);
+                });
+                thumbnails.push(...splitter.generateThumbnails(180));
+            }
+
+            // Every glyph shares the page setup; the exporter also gets the per-letter page ranges
+            const overlapMm = Math.max(...glyphs.map(glyph => glyph.config.overlapMm));
+            const config = {
+                ...glyphs[0].config,
+                overlapMm,
+                totalPages,
+                lettering: {
+                    text: options.text,
+                    heightCm: options.heightCm,
+                    cutLine: options.cutLine,
+                    glyphs: glyphs.map(glyph => ({
+                        character: glyph.character,
+                        firstPage: glyph.firstPage,
+                        cols: glyph.config.cols,
+                        rows: glyph.config.rows,
+                        totalPages: glyph.config.totalPages
+                    }))
+                }
+            };
+
+            this.renderGridPreview(thumbnails, Math.min(thumbnails.length, 8));
+            this.elements.gridSummary.textContent = `${glyphs.length} letters = ${totalPages} pages`;
+            this.elements.overlapGuide.textContent = `${overlapMm}mm`;
+
+            this.printExporter.setTiles(
+                tiles,
+                config,
+                this.createLetteringGuideImage(glyphs, options),
+                (tile, exportSignal) => splitterOf.get(tile).renderTile(tile, null, exportSignal)
+            );
+
+            this.letteringSplitters = splitters;
+
+            this.hideProgress();
+            this.showSection('grid');
+
+        } catch (error) {
+            this.hideProgress();
+            splitters.forEach(splitter => splitter.releaseTiles());
+            if (Utils.isAbortError(error)) return;
+
+            console.error('Error generating lettering:', error);
+            alert('Failed to generate lettering. Please try again.');
+        }
+    }
+
+    /**
+     * Render the pages of packed border strips
+     */
+    async generateBorder() {
+        const plan = this.borderPlan;
+        const options = { ...this.state.border };
+        if (!plan || !plan.fits) {
+            alert('The border strip is wider than the printable area of a page. Make it narrower or choose larger paper.');
+            return;
+        }
+        if (options.pattern === 'motif' && !options.motif) {
+            alert('Please choose a motif image first');
+            return;
+        }
+        this.releaseGenerated();
+
+        try {
+            const signal = this.showProgress('Drawing Border', `Packing ${plan.pieces.length} strips onto pages...`);
+
+            const tiles = [];
+            const thumbnails = [];
+            for (let i = 0; i < plan.pages.length; i++) {
+                const canvas = await this.borderStrips.renderPage(plan, i, options, signal);
+                const thumbCanvas = this.gridSplitter.createPreviewCanvas(canvas, 180);
+                Utils.releaseCanvas(canvas);
+
+                // Pages are rendered again on export, so only the thumbnail is kept
+                const tile = {
+                    canvas: null,
+                    row: 0,
+                    col: i,
+                    index: i,
+                    label: `Page ${i + 1}`,
+                    name: `border-page-${String(i + 1).padStart(2, '0')}`
+                };
+                tiles.push(tile);
+                thumbnails.push({
+                    ...tile,
+                    thumbnail: thumbCanvas.toDataURL('image/jpeg', 0.8),
+                    thumbWidth: thumbCanvas.width,
+                    thumbHeight: thumbCanvas.height
+                });
+                Utils.releaseCanvas(thumbCanvas);
+
+                this.updateProgress(((i + 1) / plan.pages.length) * 100);
+                await Utils.sleep(0);
+            }
+
+            const toCm = (px) => Utils.pixelsToMm(px, plan.config.dpi) / 10;
+            const sides = plan.sides.map(side => ({
+                label: side.label,
+                lengthCm: toCm(side.length),
+                pieces: side.pieces.map(piece => ({
+                    id: piece.id,
+                    lengthCm: toCm(piece.length),
+                    hasTab: piece.tab > 0,
+                    page: piece.page
+                }))
+            }));
+            const config = {
+                ...plan.config,
+                overlapMm: this.state.overlap,
+                totalPages: plan.pages.length,
+                border: {
+                    pattern: options.pattern,
+                    widthCm: options.widthCm,
+                    boardWidthCm: this.state.targetWidth,
+                    boardHeightCm: this.state.targetHeight,
+                    tabMm: this.state.overlap,
+                    totalLengthCm: sides.reduce((sum, side) => sum + side.lengthCm, 0),
+                    sides
+                }
+            };
+
+            this.renderGridPreview(thumbnails, Math.min(thumbnails.length, 6));
+            this.elements.gridSummary.textContent = `${plan.pieces.length} strips on ${plan.pages.length} pages`;
+            this.elements.overlapGuide.textContent = `${this.state.overlap}mm`;
+
+            this.printExporter.setTiles(
+                tiles,
+                config,
+                this.createBorderGuideImage(plan, options),
+                (tile, exportSignal) => this.borderStrips.renderPage(plan, tile.index, options, exportSignal)
+            );
+
+            this.hideProgress();
+            this.showSection('grid');
+
+        } catch (error) {
+            this.hideProgress();
+            if (Utils.isAbortError(error)) return;
+
+            console.error('Error generating border:', error);
+            alert('Failed to generate border. Please try again.');
+        }
+    }
+
+    /**
+     * Picture of the board with its border and named pieces for the cutting guide
+     * @returns {string} JPEG data URL
+     */
+    createBorderGuideImage(plan, options) {
+        const scale = Math.min(1, 1600 / Math.max(plan.boardWidth, plan.boardHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(plan.boardWidth * scale));
+        canvas.height = Math.max(1, Math.round(plan.boardHeight * scale));
+        this.drawBorderScene(canvas.getContext('2d'), plan, options, canvas.width, canvas.height, true);
+
+        const dataUrl = canvas.toDataURL('image/jpeg', 0.9);
+        Utils.releaseCanvas(canvas);
+        return dataUrl;
+    }
+
+    /**
+     * Picture of all letters on their pages for the assembly guide
+     * @returns {string} JPEG data URL
+     */
+    createLetteringGuideImage(glyphs, options) {
+        const word = Lettering.arrangeWord(glyphs);
+        const scale = Math.min(1, 1600 / Math.max(word.width, word.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(word.width * scale));
+        canvas.height = Math.max(1, Math.round(word.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#e5e7eb';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        this.drawLetteringBoards(ctx, word, scale, options, true);
+
+        const dataUrl = canvas.toDataURL('image/jpeg', 0.9);
+        Utils.releaseCanvas(canvas);
+        return dataUrl;
+    }
+
+    /**
+     * Small picture of the finished board (image as fitted, plus layers) for the assembly guide
+     * @returns {string} JPEG data URL
+     */
+    createGuideImage() {
+        const config = this.currentGridConfig;
+        const img = this.state.originalImage;
+        const region = this.state.crop || {
+            x: 0,
+            y: 0,
+            width: img.naturalWidth,
+            height: img.naturalHeight
+        };
+
+        const maxSize = 1600;
+        const scale = Math.min(1, maxSize / Math.max(config.targetWidthPx, config.targetHeightPx));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(config.targetWidthPx * scale);
+        canvas.height = Math.round(config.targetHeightPx * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const layout = ImageProcessor.calculateFitLayout(
+            region.width, region.height, canvas.width, canvas.height, this.state.fitMode
+        );
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(
+            img,
+            region.x + layout.crop.x, region.y + layout.crop.y, layout.crop.width, layout.crop.height,
+            layout.drawX, layout.drawY, layout.drawWidth, layout.drawHeight
+        );
+        this.composition.draw(ctx, { x: 0, y: 0, width: canvas.width, height: canvas.height });
+
+        const dataUrl = canvas.toDataURL('image/jpeg', 0.9);
+        Utils.releaseCanvas(canvas);
+        return dataUrl;
+    }
+
+    renderGridPreview(tiles, cols = this.currentGridConfig.cols) {
         const wrapper = this.elements.gridWrapper;
         wrapper.innerHTML = '';
 
-        const cols = this.currentGridConfig.cols;
         wrapper.style.gridTemplateColumns = `repeat(${cols}, 180px)`;
 
         tiles.forEach((tile, index) => {
@@ -487,46 +2588,96 @@ class BulletinBoardDesigner {
             const downloadBtn = card.querySelector('.tile-download');
             downloadBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.printExporter.exportSingleTile(index, 'png');
+                this.exportTile(index);
             });
 
             wrapper.appendChild(card);
         });
     }
 
+    async exportTile(index) {
+        try {
+            const signal = this.showProgress('Exporting Page', `Rendering page ${index + 1} at full size...`);
+
+            await this.printExporter.exportSingleTile(
+                index,
+                'png',
+                (progress) => this.updateProgress(progress),
+                signal
+            );
+
+            this.hideProgress();
+
+        } catch (error) {
+            this.hideProgress();
+            if (Utils.isAbortError(error)) return;
+
+            console.error('Error exporting tile:', error);
+            alert('Failed to export this page. Please try again.');
+        }
+    }
+
     async exportZip() {
         try {
-            this.showProgress('Exporting ZIP', 'Creating downloadable package...');
+            const signal = this.showProgress('Exporting ZIP', 'Creating downloadable package...');
             
             await this.printExporter.exportAsZip(
-                (progress) => this.updateProgress(progress)
+                (progress) => this.updateProgress(progress),
+                signal
             );
 
             this.hideProgress();
 
         } catch (error) {
-            console.error('Error exporting ZIP:', error);
             this.hideProgress();
+            if (Utils.isAbortError(error)) return;
+
+            console.error('Error exporting ZIP:', error);
             alert('Failed to export ZIP. Please try again.');
         }
     }
 
     async exportPdf() {
         try {
-            this.showProgress('Exporting PDF', 'Creating multi-page PDF document...');
+            const signal = this.showProgress('Exporting PDF', 'Creating multi-page PDF document...');
             
             await this.printExporter.exportAsPdf(
-                (progress) => this.updateProgress(progress)
+                (progress) => this.updateProgress(progress),
+                signal,
+                this.state.pdfExport
             );
 
             this.hideProgress();
 
         } catch (error) {
-            console.error('Error exporting PDF:', error);
             this.hideProgress();
+            if (Utils.isAbortError(error)) return;
+
+            console.error('Error exporting PDF:', error);
             alert('Failed to export PDF. Please try again.');
         }
     }
+
+    async exportPosterPdf() {
+        try {
+            const signal = this.showProgress('Exporting Poster', 'Creating a full-size PDF page...');
+
+            await this.printExporter.exportAsPosterPdf(
+                (progress) => this.updateProgress(progress),
+                signal,
+                this.state.pdfExport
+            );
+
+            this.hideProgress();
+
+        } catch (error) {
+            this.hideProgress();
+            if (Utils.isAbortError(error)) return;
+
+            console.error('Error exporting poster PDF:', error);
+            alert(`Failed to export the full-size PDF. ${error.message}`);
+        }
+    }
 }
 
 // Initialize app when DOM is ready
@@ -0,0 +1,355 @@
+/**
+ * Border Strips
+ * Decorative strips that run around the edge of the board: straight, scalloped, zigzag
+ * or a repeated motif, cut into page-length pieces and packed tightly onto pages
+ *
+ * Strips are drawn in strip coordinates: x runs along a side of the board, y runs
+ * across the strip from the board edge (0) to the decorative edge (stripWidth).
+ */
+
+// Space between strips on a page, so each can be cut out
+const STRIP_GAP_MM = 3;
+
+// Cut line around each strip piece
+const STRIP_CUT_LINE_COLOR = '#6b7280';
+const STRIP_CUT_LINE_WIDTH_MM = 0.3;
+
+// Part of the strip width taken by the solid band that the scallops and zigzags hang from
+const STRIP_BAND_RATIO = 0.5;
+
+// Edge colour line, as a fraction of the strip width
+const STRIP_EDGE_RATIO = 0.08;
+
+// Sides in the order they run around the board, clockwise from the top-left corner
+const BORDER_SIDES = [
+    { id: 'top', label: 'Top', letter: 'T' },
+    { id: 'right', label: 'Right', letter: 'R' },
+    { id: 'bottom', label: 'Bottom', letter: 'B' },
+    { id: 'left', label: 'Left', letter: 'L' }
+];
+
+class BorderStrips {
+    /**
+     * Plan the strips for a board and pack their pieces onto pages
+     * Top and bottom strips span the full board width; the side strips fit between them.
+     * Pieces of a side are equal in length, and all but the last carry a glue tab of the
+     * page overlap that slides under the next piece.
+     * @param {Object} options - { pattern, widthCm, repeatCm, fill, edgeColor, motif }
+     * @param {number} boardWidthCm
+     * @param {number} boardHeightCm
+     * @param {Object} pageSetup - { dpi, orientation, overlapMm, paperSize, customPaper, margins }
+     * @returns {Object} Plan with sides, pieces and pages; plan.fits is false when a strip is wider than a page
+     */
+    layout(options, boardWidthCm, boardHeightCm, pageSetup) {
+        const { dpi, orientation, overlapMm, paperSize, customPaper, margins } = pageSetup;
+        const page = Utils.calculateGridDimensions(1, 1, dpi, orientation, 0, paperSize, customPaper, margins);
+
+        const stripWidth = Utils.mmToPixels(Utils.cmToMm(options.widthCm), dpi);
+        const repeatLength = Math.max(1, Utils.mmToPixels(Utils.cmToMm(options.repeatCm), dpi));
+        const gap = Utils.mmToPixels(STRIP_GAP_MM, dpi);
+        const tab = Utils.mmToPixels(overlapMm, dpi);
+        const boardWidth = Utils.mmToPixels(Utils.cmToMm(boardWidthCm), dpi);
+        const boardHeight = Utils.mmToPixels(Utils.cmToMm(boardHeightCm), dpi);
+
+        // Strips run along the longer side of the printable area, stacked across the shorter
+        const horizontal = page.contentWidthPx >= page.contentHeightPx;
+        const laneLength = Math.max(page.contentWidthPx, page.contentHeightPx);
+        const laneSpan = Math.min(page.contentWidthPx, page.contentHeightPx);
+        const lanesPerPage = Math.floor((laneSpan + gap) / (stripWidth + gap));
+        const maxPieceLength = laneLength - tab;
+
+        const plan = {
+            fits: page.fits && lanesPerPage > 0 && maxPieceLength > 0,
+            config: page,
+            stripWidth,
+            gap,
+            horizontal,
+            laneLength,
+            boardWidth,
+            boardHeight,
+            sides: [],
+            pieces: [],
+            pages: []
+        };
+        if (!plan.fits) return plan;
+
+        const sideLengths = {
+            top: boardWidth,
+            right: boardHeight - stripWidth * 2,
+            bottom: boardWidth,
+            left: boardHeight - stripWidth * 2
+        };
+
+        BORDER_SIDES.forEach(sideInfo => {
+            const length = sideLengths[sideInfo.id];
+            if (length <= 0) return;
+
+            // A whole number of repeats per side, so the pattern ends the way it starts
+            const repeats = Math.max(1, Math.round(length / repeatLength));
+            const side = { ...sideInfo, length, period: length / repeats, pieces: [] };
+
+            const count = Math.ceil(length / maxPieceLength);
+            for (let i = 0; i < count; i++) {
+                const piece = {
+                    id: `${side.letter}${i + 1}`,
+                    side,
+                    start: (length * i) / count,
+                    length: length / count,
+                    tab: i < count - 1 ? tab : 0,
+                    page: 0
+                };
+                side.pieces.push(piece);
+                plan.pieces.push(piece);
+            }
+            plan.sides.push(side);
+        });
+
+        // First-fit decreasing: longest pieces first, each into the first lane with room left
+        const lanes = [];
+        [...plan.pieces]
+            .sort((a, b) => (b.length + b.tab) - (a.length + a.tab))
+            .forEach(piece => {
+                const size = piece.length + piece.tab;
+                let lane = lanes.find(candidate => candidate.used + gap + size <= laneLength);
+                if (!lane) {
+                    lane = { used: -gap, placements: [] };
+                    lanes.push(lane);
+                }
+                lane.placements.push({ piece, offset: lane.used + gap });
+                lane.used += gap + size;
+            });
+
+        for (let i = 0; i < lanes.length; i += lanesPerPage) {
+            const pageLanes = lanes.slice(i, i + lanesPerPage);
+            pageLanes.forEach(lane => lane.placements.forEach(({ piece }) => {
+                piece.page = plan.pages.length + 1;
+            }));
+            plan.pages.push({ lanes: pageLanes });
+        }
+
+        return plan;
+    }
+
+    /**
+     * Outline of a side's strip between two points along it
+     */
+    tracePath(ctx, plan, side, options, from, to) {
+        const width = plan.stripWidth;
+        const band = width * STRIP_BAND_RATIO;
+        const period = side.period;
+        const first = Math.floor(from / period);
+        const last = Math.ceil(to / period) - 1;
+
+        ctx.beginPath();
+        if (options.pattern !== 'scalloped' && options.pattern !== 'zigzag') {
+            ctx.rect(from, 0, to - from, width);
+            return;
+        }
+
+        // Along the board edge, then back along the decorative edge one repeat at a time
+        ctx.moveTo(from, 0);
+        ctx.lineTo(to, 0);
+        ctx.lineTo(to, band);
+        for (let k = last; k >= first; k--) {
+            const x = k * period;
+            if (options.pattern === 'scalloped') {
+                ctx.ellipse(x + period / 2, band, period / 2, width - band, 0, 0, Math.PI);
+            } else {
+                ctx.lineTo(x + period, band);
+                ctx.lineTo(x + period / 2, width);
+                ctx.lineTo(x, band);
+            }
+        }
+        ctx.lineTo(from, band);
+        ctx.closePath();
+    }
+
+    /**
+     * Draw part of a side's strip with the context's origin at the start of the part
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} plan - From layout()
+     * @param {Object} side - One of plan.sides
+     * @param {Object} options - Border options
+     * @param {number} from - Start along the side, in board pixels
+     * @param {number} to - End along the side
+     * @param {number|null} joinAt - Where the next piece starts; the rest is its glue tab
+     */
+    drawStrip(ctx, plan, side, options, from, to, joinAt = null) {
+        const width = plan.stripWidth;
+        const cutLineWidth = Math.max(1, Utils.mmToPixels(STRIP_CUT_LINE_WIDTH_MM, plan.config.dpi));
+
+        ctx.save();
+        ctx.translate(-from, 0);
+        ctx.beginPath();
+        ctx.rect(from, 0, to - from, width);
+        ctx.clip();
+
+        this.tracePath(ctx, plan, side, options, from, to);
+        ctx.fillStyle = options.fill;
+        ctx.fill();
+
+        // Everything below is clipped to the strip, so strokes only show their inner half
+        ctx.clip();
+
+        if (options.pattern === 'motif' && options.motif) {
+            const motif = options.motif;
+            const scale = Math.min(side.period / motif.naturalWidth, width / motif.naturalHeight);
+            const motifWidth = motif.naturalWidth * scale;
+            const motifHeight = motif.naturalHeight * scale;
+            ctx.imageSmoothingEnabled = true;
+            ctx.imageSmoothingQuality = 'high';
+            for (let k = Math.floor(from / side.period); k * side.period < to; k++) {
+                const x = k * side.period + (side.period - motifWidth) / 2;
+                ctx.drawImage(motif, x, (width - motifHeight) / 2, motifWidth, motifHeight);
+            }
+        }
+
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = options.edgeColor;
+        ctx.lineWidth = width * STRIP_EDGE_RATIO * 2;
+        ctx.stroke();
+
+        // Cut line around the piece, including straight cuts across its ends
+        ctx.strokeStyle = STRIP_CUT_LINE_COLOR;
+        ctx.lineWidth = cutLineWidth * 2;
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(from, 0);
+        ctx.lineTo(from, width);
+        ctx.moveTo(to, 0);
+        ctx.lineTo(to, width);
+        ctx.stroke();
+
+        // Glue tab: faded, behind a dashed line where the next piece starts
+        if (joinAt !== null && joinAt < to) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+            ctx.fillRect(joinAt, 0, to - joinAt, width);
+            ctx.setLineDash([cutLineWidth * 6, cutLineWidth * 4]);
+            ctx.lineWidth = cutLineWidth;
+            ctx.beginPath();
+            ctx.moveTo(joinAt, 0);
+            ctx.lineTo(joinAt, width);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the whole border around a board, as it will look once pinned up
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} plan - From layout()
+     * @param {Object} options - Border options
+     * @param {Object} rect - Where the board lies on the canvas
+     * @param {boolean} showJoins - Mark where the pieces of each side meet
+     */
+    drawBorder(ctx, plan, options, rect, showJoins = false) {
+        const scale = rect.width / plan.boardWidth;
+        const width = plan.boardWidth;
+        const height = plan.boardHeight;
+        const strip = plan.stripWidth;
+
+        // Origin and rotation of each side, so strip y always points into the board
+        const frames = {
+            top: [0, 0, 0],
+            right: [width, strip, Math.PI / 2],
+            bottom: [width, height, Math.PI],
+            left: [0, height - strip, -Math.PI / 2]
+        };
+
+        plan.sides.forEach(side => {
+            const [x, y, angle] = frames[side.id];
+            ctx.save();
+            ctx.translate(rect.x, rect.y);
+            ctx.scale(scale, scale);
+            ctx.translate(x, y);
+            ctx.rotate(angle);
+            this.drawStrip(ctx, plan, side, options, 0, side.length);
+
+            if (showJoins) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+                ctx.lineWidth = 2 / scale;
+                ctx.setLineDash([4 / scale, 4 / scale]);
+                ctx.beginPath();
+                side.pieces.slice(1).forEach(piece => {
+                    ctx.moveTo(piece.start, 0);
+                    ctx.lineTo(piece.start, strip);
+                });
+                ctx.stroke();
+
+                // Piece names, kept upright whichever way the side runs
+                ctx.font = `600 ${strip * 0.3}px sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+                side.pieces.forEach(piece => {
+                    ctx.save();
+                    ctx.translate(piece.start + piece.length / 2, strip * STRIP_BAND_RATIO / 2);
+                    ctx.rotate(-angle);
+                    ctx.fillText(piece.id, 0, 0);
+                    ctx.restore();
+                });
+            }
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Render one page of packed strip pieces
+     * @param {Object} plan - From layout()
+     * @param {number} pageIndex
+     * @param {Object} options - Border options
+     * @param {AbortSignal} signal - Optional signal that cancels rendering
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async renderPage(plan, pageIndex, options, signal = null) {
+        Utils.throwIfAborted(signal);
+
+        const { pageWidthPx, pageHeightPx, marginPx } = plan.config;
+        const strip = plan.stripWidth;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = pageWidthPx;
+        canvas.height = pageHeightPx;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, pageWidthPx, pageHeightPx);
+
+        plan.pages[pageIndex].lanes.forEach((lane, laneIndex) => {
+            const across = laneIndex * (strip + plan.gap);
+
+            lane.placements.forEach(({ piece, offset }) => {
+                ctx.save();
+                if (plan.horizontal) {
+                    ctx.translate(marginPx.left + offset, marginPx.top + across);
+                } else {
+                    // Turned a quarter clockwise so the strip runs down the page
+                    ctx.translate(marginPx.left + across + strip, marginPx.top + offset);
+                    ctx.rotate(Math.PI / 2);
+                }
+
+                const end = piece.start + piece.length;
+                this.drawStrip(ctx, plan, piece.side, options, piece.start, end + piece.tab, piece.tab ? end : null);
+                this.drawPieceLabel(ctx, piece, strip);
+                ctx.restore();
+            });
+        });
+
+        return canvas;
+    }
+
+    /**
+     * Small label near the start of a piece, such as "T2 →"
+     */
+    drawPieceLabel(ctx, piece, stripWidth) {
+        const fontSize = stripWidth * STRIP_BAND_RATIO * 0.45;
+        ctx.font = `600 ${fontSize}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillText(`${piece.id} →`, fontSize * 0.6, stripWidth * STRIP_BAND_RATIO / 2);
+    }
+}
+
+// Export
+window.BorderStrips = BorderStrips;
@@ -0,0 +1,341 @@
+/**
+ * Composition
+ * Layers of photos, text and shapes placed on top of the board image
+ *
+ * Layer geometry is relative to the board so it survives size and DPI changes:
+ * x and y are the layer centre as fractions of the board width and height,
+ * and size is a fraction of the board width (text: of the board height).
+ */
+
+// Line height of text layers, as a multiple of the font size
+const TEXT_LINE_HEIGHT = 1.2;
+
+class Composition {
+    constructor() {
+        this.layers = [];           // Bottom to top
+        this.selectedId = null;
+        this.onChange = null;
+
+        // Canvas used only to measure text
+        this.measureCtx = document.createElement('canvas').getContext('2d');
+    }
+
+    /**
+     * Add a photo layer, centred and half the board wide
+     * @param {HTMLImageElement} image
+     * @param {string} name
+     */
+    addImageLayer(image, name = 'Photo') {
+        return this.addLayer({
+            type: 'image',
+            name,
+            image,
+            src: image.src,
+            aspectRatio: image.naturalWidth / image.naturalHeight,
+            size: 0.5
+        });
+    }
+
+    addTextLayer(text = 'Your Title') {
+        return this.addLayer({
+            type: 'text',
+            name: 'Text',
+            text,
+            y: 0.15,
+            size: 0.12,
+            fontFamily: 'Bebas Neue',    // Web fonts come from vendor/fonts/fonts.css
+            bold: false,
+            color: '#ffffff',
+            outlineColor: '#1e1b4b',
+            outlineWidth: 0.08,     // Fraction of the font size
+            shadow: true
+        });
+    }
+
+    addShapeLayer(shape = 'rounded') {
+        return this.addLayer({
+            type: 'shape',
+            name: 'Shape',
+            shape,
+            size: 0.4,
+            aspectRatio: 2,
+            fill: '#fde68a',
+            stroke: '#92400e',
+            strokeWidth: 0.005      // Fraction of the board height
+        });
+    }
+
+    addLayer(props) {
+        const layer = {
+            id: Utils.generateId(),
+            x: 0.5,
+            y: 0.5,
+            rotation: 0,            // Degrees clockwise
+            opacity: 1,
+            ...props
+        };
+        this.layers.push(layer);
+        this.selectedId = layer.id;
+        this.notifyChange();
+        return layer;
+    }
+
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+
+    getSelectedLayer() {
+        return this.getLayer(this.selectedId);
+    }
+
+    selectLayer(id) {
+        this.selectedId = this.getLayer(id) ? id : null;
+        this.notifyChange();
+    }
+
+    /**
+     * Change properties of a layer
+     * @param {string} id
+     * @param {Object} props
+     */
+    updateLayer(id, props) {
+        const layer = this.getLayer(id);
+        if (!layer) return;
+        Object.assign(layer, props);
+        this.notifyChange();
+    }
+
+    removeLayer(id) {
+        this.layers = this.layers.filter(layer => layer.id !== id);
+        if (this.selectedId === id) this.selectedId = null;
+        this.notifyChange();
+    }
+
+    /**
+     * Move a layer up (towards the front) or down the stack
+     * @param {string} id
+     * @param {number} direction - 1 to bring forward, -1 to send back
+     */
+    moveLayer(id, direction) {
+        const index = this.layers.findIndex(layer => layer.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.layers.length) return;
+        [this.layers[index], this.layers[target]] = [this.layers[target], this.layers[index]];
+        this.notifyChange();
+    }
+
+    /**
+     * Replace all layers, such as when a saved project is opened
+     * @param {Array} layers - Layers with their images loaded
+     */
+    setLayers(layers) {
+        this.layers = layers;
+        this.selectedId = null;
+        this.notifyChange();
+    }
+
+    clear() {
+        this.layers = [];
+        this.selectedId = null;
+        this.notifyChange();
+    }
+
+    hasLayers() {
+        return this.layers.length > 0;
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * CSS font for a text layer at a pixel size
+     */
+    static getFont(layer, fontSize) {
+        return `${layer.bold ? 700 : 400} ${fontSize}px "${layer.fontFamily}", sans-serif`;
+    }
+
+    /**
+     * Size of a layer in pixels on a board of the given size
+     * @returns {Object} { width, height }
+     */
+    getLayerSize(layer, boardWidth, boardHeight) {
+        switch (layer.type) {
+            case 'text': {
+                const fontSize = layer.size * boardHeight;
+                const lines = layer.text.split('\n');
+                this.measureCtx.font = Composition.getFont(layer, fontSize);
+                const width = Math.max(...lines.map(line => this.measureCtx.measureText(line).width), 1);
+                return { width, height: lines.length * fontSize * TEXT_LINE_HEIGHT };
+            }
+            default: {
+                const width = layer.size * boardWidth;
+                return { width, height: width / layer.aspectRatio };
+            }
+        }
+    }
+
+    /**
+     * Find the topmost layer under a point
+     * @param {number} x - Board pixels
+     * @param {number} y - Board pixels
+     * @returns {Object|null} The layer
+     */
+    hitTest(x, y, boardWidth, boardHeight) {
+        for (let i = this.layers.length - 1; i >= 0; i--) {
+            const layer = this.layers[i];
+            const { width, height } = this.getLayerSize(layer, boardWidth, boardHeight);
+
+            // Rotate the point into the layer's own frame
+            const angle = -layer.rotation * Math.PI / 180;
+            const dx = x - layer.x * boardWidth;
+            const dy = y - layer.y * boardHeight;
+            const localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+            const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+
+            if (Math.abs(localX) <= width / 2 && Math.abs(localY) <= height / 2) {
+                return layer;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Wait for the web fonts used by text layers so tiles never render with a fallback font
+     */
+    async loadFonts() {
+        if (!document.fonts) return;
+        const fonts = new Set(
+            this.layers.filter(layer => layer.type === 'text').map(layer => Composition.getFont(layer, 16))
+        );
+        await Promise.all([...fonts].map(font => document.fonts.load(font).catch(() => null)));
+    }
+
+    /**
+     * Draw all layers
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} boardRect - Where the whole board lies on the canvas; may extend past its edges
+     */
+    draw(ctx, boardRect) {
+        this.layers.forEach(layer => this.drawLayer(ctx, layer, boardRect));
+    }
+
+    drawLayer(ctx, layer, boardRect) {
+        const { width, height } = this.getLayerSize(layer, boardRect.width, boardRect.height);
+
+        ctx.save();
+        ctx.translate(boardRect.x + layer.x * boardRect.width, boardRect.y + layer.y * boardRect.height);
+        ctx.rotate(layer.rotation * Math.PI / 180);
+        ctx.globalAlpha = layer.opacity;
+
+        switch (layer.type) {
+            case 'image':
+                ctx.imageSmoothingEnabled = true;
+                ctx.imageSmoothingQuality = 'high';
+                ctx.drawImage(layer.image, -width / 2, -height / 2, width, height);
+                break;
+            case 'text':
+                this.drawText(ctx, layer, boardRect.height);
+                break;
+            case 'shape':
+                this.drawShape(ctx, layer, width, height, boardRect.height);
+                break;
+        }
+
+        ctx.restore();
+    }
+
+    drawText(ctx, layer, boardHeight) {
+        const fontSize = layer.size * boardHeight;
+        const lines = layer.text.split('\n');
+        const lineHeight = fontSize * TEXT_LINE_HEIGHT;
+        const firstY = -((lines.length - 1) * lineHeight) / 2;
+
+        ctx.font = Composition.getFont(layer, fontSize);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+
+        // Shadow blur and offset ignore the transform, so they are sized from the font
+        const setShadow = (on) => {
+            ctx.shadowColor = on ? 'rgba(0, 0, 0, 0.45)' : 'transparent';
+            ctx.shadowBlur = on ? fontSize * 0.12 : 0;
+            ctx.shadowOffsetX = on ? fontSize * 0.04 : 0;
+            ctx.shadowOffsetY = on ? fontSize * 0.06 : 0;
+        };
+
+        const outline = layer.outlineWidth > 0;
+        lines.forEach((line, i) => {
+            const y = firstY + i * lineHeight;
+
+            // The outline is stroked first, carrying the shadow, so the fill sits on top of it
+            setShadow(layer.shadow);
+            if (outline) {
+                ctx.strokeStyle = layer.outlineColor;
+                ctx.lineWidth = layer.outlineWidth * fontSize * 2;
+                ctx.strokeText(line, 0, y);
+                setShadow(false);
+            }
+
+            ctx.fillStyle = layer.color;
+            ctx.fillText(line, 0, y);
+        });
+    }
+
+    drawShape(ctx, layer, width, height, boardHeight) {
+        ctx.beginPath();
+        switch (layer.shape) {
+            case 'ellipse':
+                ctx.ellipse(0, 0, width / 2, height / 2, 0, 0, Math.PI * 2);
+                break;
+            case 'rounded': {
+                const radius = Math.min(width, height) * 0.15;
+                ctx.roundRect(-width / 2, -height / 2, width, height, radius);
+                break;
+            }
+            default:
+                ctx.rect(-width / 2, -height / 2, width, height);
+        }
+
+        ctx.fillStyle = layer.fill;
+        ctx.fill();
+
+        if (layer.strokeWidth > 0) {
+            ctx.strokeStyle = layer.stroke;
+            ctx.lineWidth = layer.strokeWidth * boardHeight;
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Wrap a board renderer so every region it renders has the layers drawn on top
+     * @param {Object} baseRenderer - From ImageProcessor.createBoardRenderer
+     * @returns {Object} A renderer with the same interface
+     */
+    createRenderer(baseRenderer) {
+        // Snapshot so later edits don't change tiles that are rendered on demand for export
+        const snapshot = new Composition();
+        snapshot.layers = this.layers.map(layer => ({ ...layer }));
+
+        return {
+            width: baseRenderer.width,
+            height: baseRenderer.height,
+            renderRegion: async (region, progressCallback = null, signal = null) => {
+                const canvas = await baseRenderer.renderRegion(region, progressCallback, signal);
+                snapshot.draw(canvas.getContext('2d'), {
+                    x: -region.x,
+                    y: -region.y,
+                    width: baseRenderer.width,
+                    height: baseRenderer.height
+                });
+                return canvas;
+            },
+            release: () => baseRenderer.release()
+        };
+    }
+}
+
+// Export
+window.Composition = Composition;
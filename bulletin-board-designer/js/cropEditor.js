@@ -0,0 +1,338 @@
+/**
+ * Crop Editor
+ * Interactive crop rectangle on the preview canvas, locked to the board aspect ratio
+ */
+
+class CropEditor {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.image = null;
+        this.aspectRatio = 1;
+        this.crop = null;          // { x, y, width, height } in source image pixels
+        this.enabled = false;
+        this.drag = null;
+        this.onChange = null;
+
+        this.handleSize = 10;      // Corner handle size in canvas pixels
+        this.minCropSize = 16;     // Smallest crop width in source pixels
+
+        this.bindEvents();
+    }
+
+    /**
+     * Set the source image; clears any existing crop
+     * @param {HTMLImageElement} image
+     */
+    setImage(image) {
+        this.image = image;
+        this.crop = null;
+    }
+
+    /**
+     * Lock the crop to a new aspect ratio (width / height), keeping its centre
+     * @param {number} aspectRatio
+     */
+    setAspectRatio(aspectRatio) {
+        if (!aspectRatio || Math.abs(aspectRatio - this.aspectRatio) < 1e-6) return;
+        this.aspectRatio = aspectRatio;
+
+        if (this.crop) {
+            const centerX = this.crop.x + this.crop.width / 2;
+            const centerY = this.crop.y + this.crop.height / 2;
+            const area = this.crop.width * this.crop.height;
+            const maxWidth = Math.min(this.image.naturalWidth, this.image.naturalHeight * aspectRatio);
+            const width = Math.min(Math.sqrt(area * aspectRatio), maxWidth);
+            this.setCrop({
+                x: centerX - width / 2,
+                y: centerY - width / aspectRatio / 2,
+                width,
+                height: width / aspectRatio
+            });
+        }
+    }
+
+    /**
+     * Turn cropping on (starting from the largest centred crop) or off
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled && !this.crop) {
+            this.resetCrop();
+        } else if (!enabled) {
+            this.crop = null;
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Reset to the largest crop of the current aspect ratio, centred on the image
+     */
+    resetCrop() {
+        if (!this.image) return;
+        const imgWidth = this.image.naturalWidth;
+        const imgHeight = this.image.naturalHeight;
+        const width = Math.min(imgWidth, imgHeight * this.aspectRatio);
+        const height = width / this.aspectRatio;
+        this.setCrop({
+            x: (imgWidth - width) / 2,
+            y: (imgHeight - height) / 2,
+            width,
+            height
+        });
+    }
+
+    /**
+     * Set the crop rectangle, constrained to the image and aspect ratio
+     * @param {Object} rect - { x, y, width, height } in source pixels
+     */
+    setCrop(rect) {
+        if (!this.image || !rect) {
+            this.crop = null;
+            this.notifyChange();
+            return;
+        }
+        this.crop = this.constrain(rect);
+        this.notifyChange();
+    }
+
+    /**
+     * Get the crop rounded to whole source pixels, or null when not cropping
+     */
+    getCrop() {
+        if (!this.crop) return null;
+        return {
+            x: Math.round(this.crop.x),
+            y: Math.round(this.crop.y),
+            width: Math.max(1, Math.round(this.crop.width)),
+            height: Math.max(1, Math.round(this.crop.height))
+        };
+    }
+
+    /**
+     * Keep a rectangle inside the image at the locked aspect ratio
+     */
+    constrain(rect) {
+        const imgWidth = this.image.naturalWidth;
+        const imgHeight = this.image.naturalHeight;
+        const maxWidth = Math.min(imgWidth, imgHeight * this.aspectRatio);
+
+        const width = Utils.clamp(rect.width, Math.min(this.minCropSize, maxWidth), maxWidth);
+        const height = width / this.aspectRatio;
+
+        return {
+            x: Utils.clamp(rect.x, 0, imgWidth - width),
+            y: Utils.clamp(rect.y, 0, imgHeight - height),
+            width,
+            height
+        };
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.getCrop());
+        }
+    }
+
+    /**
+     * Scale from source pixels to canvas pixels
+     */
+    getDisplayScale() {
+        return this.image ? this.canvas.width / this.image.naturalWidth : 1;
+    }
+
+    /**
+     * Get the crop rectangle in canvas pixels
+     */
+    getDisplayRect() {
+        if (!this.crop) return null;
+        const scale = this.getDisplayScale();
+        return {
+            x: this.crop.x * scale,
+            y: this.crop.y * scale,
+            width: this.crop.width * scale,
+            height: this.crop.height * scale
+        };
+    }
+
+    /**
+     * Convert a pointer event to source image coordinates
+     */
+    eventToSource(e) {
+        const bounds = this.canvas.getBoundingClientRect();
+        const canvasX = (e.clientX - bounds.left) * (this.canvas.width / bounds.width);
+        const canvasY = (e.clientY - bounds.top) * (this.canvas.height / bounds.height);
+        const scale = this.getDisplayScale();
+        return { x: canvasX / scale, y: canvasY / scale };
+    }
+
+    /**
+     * Find which part of the crop a source point hits: a corner, the body, or nothing
+     */
+    hitTest(point) {
+        if (!this.crop) return null;
+        const tolerance = this.handleSize / this.getDisplayScale();
+        const { x, y, width, height } = this.crop;
+        const corners = {
+            nw: { x, y },
+            ne: { x: x + width, y },
+            sw: { x, y: y + height },
+            se: { x: x + width, y: y + height }
+        };
+
+        for (const [name, corner] of Object.entries(corners)) {
+            if (Math.abs(point.x - corner.x) <= tolerance && Math.abs(point.y - corner.y) <= tolerance) {
+                return name;
+            }
+        }
+
+        if (point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + height) {
+            return 'move';
+        }
+        return null;
+    }
+
+    bindEvents() {
+        const cursors = { move: 'move', nw: 'nwse-resize', se: 'nwse-resize', ne: 'nesw-resize', sw: 'nesw-resize' };
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.enabled || !this.crop) return;
+            const point = this.eventToSource(e);
+            const mode = this.hitTest(point);
+            if (!mode) return;
+
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            this.drag = { mode, start: point, startCrop: { ...this.crop } };
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.enabled || !this.crop) return;
+            const point = this.eventToSource(e);
+
+            if (!this.drag) {
+                this.canvas.style.cursor = cursors[this.hitTest(point)] || 'default';
+                return;
+            }
+
+            const dx = point.x - this.drag.start.x;
+            const dy = point.y - this.drag.start.y;
+            const start = this.drag.startCrop;
+
+            if (this.drag.mode === 'move') {
+                this.setCrop({ ...start, x: start.x + dx, y: start.y + dy });
+            } else {
+                this.resizeFromCorner(this.drag.mode, start, dx, dy);
+            }
+        });
+
+        const endDrag = (e) => {
+            if (!this.drag) return;
+            this.drag = null;
+            if (this.canvas.hasPointerCapture(e.pointerId)) {
+                this.canvas.releasePointerCapture(e.pointerId);
+            }
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+
+        // Mouse wheel zooms the crop around the pointer
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!this.enabled || !this.crop) return;
+            e.preventDefault();
+            const point = this.eventToSource(e);
+            this.zoom(e.deltaY < 0 ? 0.9 : 1 / 0.9, point);
+        }, { passive: false });
+    }
+
+    /**
+     * Resize from a corner, keeping the opposite corner fixed
+     */
+    resizeFromCorner(corner, start, dx, dy) {
+        const growsRight = corner === 'ne' || corner === 'se';
+        const growsDown = corner === 'sw' || corner === 'se';
+        const anchorX = growsRight ? start.x : start.x + start.width;
+        const anchorY = growsDown ? start.y : start.y + start.height;
+
+        // Follow whichever axis moved further, then derive the other from the aspect ratio
+        const widthFromX = start.width + (growsRight ? dx : -dx);
+        const widthFromY = (start.height + (growsDown ? dy : -dy)) * this.aspectRatio;
+        let width = Math.abs(dx) >= Math.abs(dy) * this.aspectRatio ? widthFromX : widthFromY;
+
+        // Don't let the anchored rectangle leave the image
+        const imgWidth = this.image.naturalWidth;
+        const imgHeight = this.image.naturalHeight;
+        const roomX = growsRight ? imgWidth - anchorX : anchorX;
+        const roomY = (growsDown ? imgHeight - anchorY : anchorY) * this.aspectRatio;
+        width = Utils.clamp(width, this.minCropSize, Math.min(roomX, roomY));
+        const height = width / this.aspectRatio;
+
+        this.setCrop({
+            x: growsRight ? anchorX : anchorX - width,
+            y: growsDown ? anchorY : anchorY - height,
+            width,
+            height
+        });
+    }
+
+    /**
+     * Zoom the crop by a factor, keeping the given source point fixed
+     * @param {number} factor - < 1 zooms in, > 1 zooms out
+     * @param {Object} focus - { x, y } in source pixels; defaults to the crop centre
+     */
+    zoom(factor, focus = null) {
+        if (!this.crop) return;
+        const { x, y, width, height } = this.crop;
+        const fx = focus ? focus.x : x + width / 2;
+        const fy = focus ? focus.y : y + height / 2;
+        this.setCrop({
+            x: fx - (fx - x) * factor,
+            y: fy - (fy - y) * factor,
+            width: width * factor,
+            height: height * factor
+        });
+    }
+
+    /**
+     * Draw the crop overlay: dimmed surroundings, border and corner handles
+     * @param {CanvasRenderingContext2D} ctx - Preview canvas context
+     */
+    drawOverlay(ctx) {
+        const rect = this.getDisplayRect();
+        if (!rect) return;
+
+        const { width: canvasWidth, height: canvasHeight } = this.canvas;
+
+        ctx.save();
+
+        // Dim everything outside the crop
+        ctx.fillStyle = 'rgba(15, 15, 26, 0.6)';
+        ctx.beginPath();
+        ctx.rect(0, 0, canvasWidth, canvasHeight);
+        ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        ctx.fill('evenodd');
+
+        // Crop border
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+
+        // Corner handles
+        const size = this.handleSize;
+        ctx.fillStyle = '#8b5cf6';
+        [
+            [rect.x, rect.y],
+            [rect.x + rect.width, rect.y],
+            [rect.x, rect.y + rect.height],
+            [rect.x + rect.width, rect.y + rect.height]
+        ].forEach(([hx, hy]) => {
+            ctx.fillRect(hx - size / 2, hy - size / 2, size, size);
+            ctx.strokeRect(hx - size / 2, hy - size / 2, size, size);
+        });
+
+        ctx.restore();
+    }
+}
+
+// Export
+window.CropEditor = CropEditor;
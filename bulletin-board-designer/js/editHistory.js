@@ -0,0 +1,85 @@
+/**
+ * Edit History
+ * Undo/redo stack of editor commands
+ *
+ * A command is { label, undo(), redo() }; it is pushed after its change has been made.
+ */
+
+// Oldest commands are dropped past this many
+const HISTORY_LIMIT = 100;
+
+class EditHistory {
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Callback when what can be undone or redone changes
+        this.onChange = null;
+    }
+
+    /**
+     * Add a command that has just been carried out; anything that could be redone is dropped
+     * @param {Object} command - { label, undo(), redo() }
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        command.undo();
+        this.redoStack.push(command);
+        this.notifyChange();
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        command.redo();
+        this.undoStack.push(command);
+        this.notifyChange();
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Label of the command undo would revert, or null
+     */
+    getUndoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    getRedoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
+
+// Export
+window.EditHistory = EditHistory;
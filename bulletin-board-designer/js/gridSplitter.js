@@ -1,188 +1,477 @@
 /**
  * Grid Splitter
- * Splits upscaled images into A4-sized tiles with overlap support
+ * Splits upscaled images into page-sized tiles with overlap support
  */
 
+// Longest side of the preview kept for each tile when tiles are rendered on demand
+const TILE_PREVIEW_SIZE = 400;
+
+// Crop mark and guide settings used when a config has none
+const GUIDE_DEFAULTS = {
+    style: 'corners',  // 'corners', 'lines' or 'scissors'
+    color: '#000000',
+    lineWidthMm: 0.1,
+    side: 'kept'       // 'kept' draws on the artwork inside the trim, 'discarded' out in the trimmed margin
+};
+
+// Marks, targets and labels are sized in mm so they print the same at any DPI
+const CROP_MARK_LENGTH_MM = 5;
+const CROP_MARK_GAP_MM = 1;
+const GUIDE_DASH_MM = 2;
+const SCISSORS_SIZE_MM = 4;
+const REGISTRATION_MIN_RADIUS_MM = 2;
+const REGISTRATION_MAX_RADIUS_MM = 5;
+const EDGE_LABEL_SIZE_MM = 2.5;
+
 class GridSplitter {
     constructor() {
         this.tiles = [];
         this.config = null;
+        this.source = null;
     }
 
     /**
-     * Split an image canvas into tiles
-     * @param {HTMLCanvasElement} canvas - The upscaled image canvas
+     * Split the board into tiles
+     * With a canvas source every tile keeps its full-resolution canvas. With a board renderer
+     * (ImageProcessor.createBoardRenderer) each tile is resampled straight from the source
+     * region it needs and only a small preview is kept; renderTile() re-renders it for export,
+     * so memory stays bounded by one tile.
+     * @param {HTMLCanvasElement|Object} source - The upscaled board canvas, or a board renderer
      * @param {Object} config - Grid configuration
-     * @returns {Promise<Array>} Array of tile canvases with metadata
+     * @param {function} progressCallback - Optional progress callback (0-100)
+     * @param {AbortSignal} signal - Optional signal that cancels the split; tiles made so far are released
+     * @returns {Promise<Array>} Array of tiles with metadata
      */
-    async splitIntoTiles(canvas, config, progressCallback = null) {
+    async splitIntoTiles(source, config, progressCallback = null, signal = null) {
+        // Free the previous split's canvases before making new ones
+        this.releaseTiles();
         this.config = config;
-        this.tiles = [];
+        this.source = source;
 
         const {
             cols,
             rows,
-            a4WidthPx,
-            a4HeightPx,
-            overlapPx,
+            targetWidthPx,
+            targetHeightPx,
+            contentWidthPx,
+            contentHeightPx,
             effectiveWidthPx,
             effectiveHeightPx
         } = config;
 
-        const sourceWidth = canvas.width;
-        const sourceHeight = canvas.height;
-
-        // Calculate the actual tile content size (what portion of source each tile covers)
-        const tileContentWidth = sourceWidth / cols;
-        const tileContentHeight = sourceHeight / rows;
-
-        // Calculate overlap in source pixels
-        const overlapSourceX = (overlapPx * tileContentWidth) / a4WidthPx;
-        const overlapSourceY = (overlapPx * tileContentHeight) / a4HeightPx;
+        const streaming = typeof source.renderRegion === 'function';
 
         let tileIndex = 0;
         const totalTiles = rows * cols;
 
-        for (let row = 0; row < rows; row++) {
-            for (let col = 0; col < cols; col++) {
-                // Calculate source region with overlap
-                let srcX = col * tileContentWidth - (col > 0 ? overlapSourceX : 0);
-                let srcY = row * tileContentHeight - (row > 0 ? overlapSourceY : 0);
-                let srcWidth = tileContentWidth + (col > 0 ? overlapSourceX : 0) + (col < cols - 1 ? overlapSourceX : 0);
-                let srcHeight = tileContentHeight + (row > 0 ? overlapSourceY : 0) + (row < rows - 1 ? overlapSourceY : 0);
-
-                // Clamp to canvas bounds
-                srcX = Math.max(0, srcX);
-                srcY = Math.max(0, srcY);
-                srcWidth = Math.min(srcWidth, sourceWidth - srcX);
-                srcHeight = Math.min(srcHeight, sourceHeight - srcY);
-
-                // Create tile canvas at A4 dimensions
-                const tileCanvas = document.createElement('canvas');
-                tileCanvas.width = a4WidthPx;
-                tileCanvas.height = a4HeightPx;
-                const tileCtx = tileCanvas.getContext('2d');
-
-                // Fill with white background (for printing)
-                tileCtx.fillStyle = '#ffffff';
-                tileCtx.fillRect(0, 0, a4WidthPx, a4HeightPx);
-
-                // Enable high-quality rendering
-                tileCtx.imageSmoothingEnabled = true;
-                tileCtx.imageSmoothingQuality = 'high';
-
-                // Draw the source region onto the tile
+        try {
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    // Every page advances by exactly one effective width/height of the board,
+                    // so its printable area repeats the previous page's last overlapPx
+                    const boardX = col * effectiveWidthPx;
+                    const boardY = row * effectiveHeightPx;
+
+                    const tile = {
+                        canvas: null,
+                        previewCanvas: null,
+                        row,
+                        col,
+                        index: tileIndex,
+                        position: `${row + 1}-${col + 1}`,
+                        label: `Page ${tileIndex + 1}`,
+                        boardX,
+                        boardY,
+                        // Clamp to the board; the last row/column may run past its edge
+                        drawWidth: Math.max(0, Math.min(contentWidthPx, targetWidthPx - boardX)),
+                        drawHeight: Math.max(0, Math.min(contentHeightPx, targetHeightPx - boardY)),
+                        hasLeftOverlap: col > 0,
+                        hasTopOverlap: row > 0,
+                        hasRightOverlap: col < cols - 1,
+                        hasBottomOverlap: row < rows - 1
+                    };
+
+                    const tileCanvas = await this.renderTile(tile, (progress) => {
+                        if (progressCallback) {
+                            progressCallback(Math.round(((tileIndex + progress / 100) / totalTiles) * 100));
+                        }
+                    }, signal);
+
+                    if (streaming) {
+                        tile.previewCanvas = this.createPreviewCanvas(tileCanvas, TILE_PREVIEW_SIZE);
+                        Utils.releaseCanvas(tileCanvas);
+                    } else {
+                        tile.canvas = tileCanvas;
+                    }
+
+                    this.tiles.push(tile);
+                    tileIndex++;
+
+                    if (progressCallback) {
+                        progressCallback(Math.round((tileIndex / totalTiles) * 100));
+                    }
+
+                    // Allow UI to update
+                    await Utils.sleep(0);
+                }
+            }
+        } catch (error) {
+            this.releaseTiles();
+            throw error;
+        }
+
+        return this.tiles;
+    }
+
+    /**
+     * Render a tile's full page canvas from the current source
+     * @param {Object} tile - Tile metadata from splitIntoTiles
+     * @param {function} progressCallback - Optional progress callback (0-100)
+     * @param {AbortSignal} signal - Optional signal that cancels rendering
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async renderTile(tile, progressCallback = null, signal = null) {
+        Utils.throwIfAborted(signal);
+
+        const config = this.config;
+        const {
+            pageWidthPx,
+            pageHeightPx,
+            marginPx,
+            targetWidthPx,
+            targetHeightPx
+        } = config;
+        const { boardX, boardY, drawWidth, drawHeight } = tile;
+
+        // Create tile canvas at page dimensions
+        const tileCanvas = document.createElement('canvas');
+        tileCanvas.width = pageWidthPx;
+        tileCanvas.height = pageHeightPx;
+        const tileCtx = tileCanvas.getContext('2d');
+
+        // Fill with white background (for printing)
+        tileCtx.fillStyle = '#ffffff';
+        tileCtx.fillRect(0, 0, pageWidthPx, pageHeightPx);
+
+        // Enable high-quality rendering
+        tileCtx.imageSmoothingEnabled = true;
+        tileCtx.imageSmoothingQuality = 'high';
+
+        // Draw the board region 1:1 into the printable area inside the margins
+        if (drawWidth > 0 && drawHeight > 0) {
+            if (typeof this.source.renderRegion === 'function') {
+                let region;
+                try {
+                    region = await this.source.renderRegion(
+                        { x: boardX, y: boardY, width: drawWidth, height: drawHeight },
+                        progressCallback,
+                        signal
+                    );
+                } catch (error) {
+                    Utils.releaseCanvas(tileCanvas);
+                    throw error;
+                }
+                tileCtx.drawImage(region, marginPx.left, marginPx.top);
+                Utils.releaseCanvas(region);
+            } else {
+                // Source pixels per print pixel; 1 when the canvas was upscaled to the target size
+                const sourceScaleX = this.source.width / targetWidthPx;
+                const sourceScaleY = this.source.height / targetHeightPx;
                 tileCtx.drawImage(
-                    canvas,
-                    srcX, srcY, srcWidth, srcHeight,
-                    0, 0, a4WidthPx, a4HeightPx
+                    this.source,
+                    boardX * sourceScaleX, boardY * sourceScaleY,
+                    drawWidth * sourceScaleX, drawHeight * sourceScaleY,
+                    marginPx.left, marginPx.top, drawWidth, drawHeight
                 );
+            }
+        }
 
-                // Add crop marks if enabled
-                if (config.addCropMarks) {
-                    this.addCropMarks(tileCtx, a4WidthPx, a4HeightPx, overlapPx);
-                }
+        // Add crop marks if enabled, with the marks that show how the page joins its neighbours
+        if (config.addCropMarks) {
+            const guides = { ...GUIDE_DEFAULTS, ...config.guides };
+            this.addCropMarks(tileCtx, guides);
+            this.addRegistrationMarks(tileCtx, tile, guides);
+            this.addEdgeLabels(tileCtx, tile);
+        }
 
-                // Store tile with metadata
-                this.tiles.push({
-                    canvas: tileCanvas,
-                    row,
-                    col,
-                    index: tileIndex,
-                    position: `${row + 1}-${col + 1}`,
-                    label: `Page ${tileIndex + 1}`,
-                    hasLeftOverlap: col > 0,
-                    hasTopOverlap: row > 0,
-                    hasRightOverlap: col < cols - 1,
-                    hasBottomOverlap: row < rows - 1
-                });
-
-                tileIndex++;
-
-                if (progressCallback) {
-                    progressCallback(Math.round((tileIndex / totalTiles) * 100));
-                }
+        return tileCanvas;
+    }
+
+    /**
+     * Free every tile canvas and preview and forget the tiles
+     */
+    releaseTiles() {
+        this.tiles.forEach(tile => {
+            Utils.releaseCanvas(tile.canvas);
+            Utils.releaseCanvas(tile.previewCanvas);
+        });
+        this.tiles = [];
+    }
+
+    /**
+     * Downscale a canvas so its longest side is at most maxSize
+     */
+    createPreviewCanvas(canvas, maxSize) {
+        const scale = Math.min(maxSize / canvas.width, maxSize / canvas.height, 1);
 
-                // Allow UI to update
-                await Utils.sleep(0);
+        const previewCanvas = document.createElement('canvas');
+        previewCanvas.width = Math.round(canvas.width * scale);
+        previewCanvas.height = Math.round(canvas.height * scale);
+
+        const ctx = previewCanvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(canvas, 0, 0, previewCanvas.width, previewCanvas.height);
+
+        return previewCanvas;
+    }
+
+    /**
+     * Add crop marks and overlap guides to a tile context
+     * Marks follow the trim lines around the printable content area, so the unprintable margin
+     * can be trimmed off along them. On the kept side they are drawn just inside the trim on
+     * the artwork; on the discarded side they run out into the margin and are cut away with it.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} guides - Style, colour, line width and side, see GUIDE_DEFAULTS
+     */
+    addCropMarks(ctx, guides) {
+        const { marginPx, contentWidthPx, contentHeightPx, overlapPx, pageWidthPx, pageHeightPx, dpi } = this.config;
+        const toPx = (mm) => (mm / 25.4) * dpi;
+        const kept = guides.side !== 'discarded';
+        const markLength = toPx(CROP_MARK_LENGTH_MM);
+        const gap = toPx(CROP_MARK_GAP_MM);
+
+        const left = marginPx.left;
+        const top = marginPx.top;
+        const right = left + contentWidthPx;
+        const bottom = top + contentHeightPx;
+
+        // Each line runs along one axis at a fixed position; from/to is the trimmed edge
+        // and end is the far edge of the paper
+        const trimLines = [
+            { horizontal: true, at: top, from: left, to: right, end: pageWidthPx },
+            { horizontal: true, at: bottom, from: left, to: right, end: pageWidthPx },
+            { horizontal: false, at: left, from: top, to: bottom, end: pageHeightPx },
+            { horizontal: false, at: right, from: top, to: bottom, end: pageHeightPx }
+        ];
+        const overlapLines = overlapPx > 0 ? [
+            { horizontal: true, at: top + overlapPx, from: left, to: right, end: pageWidthPx },
+            { horizontal: true, at: bottom - overlapPx, from: left, to: right, end: pageWidthPx },
+            { horizontal: false, at: left + overlapPx, from: top, to: bottom, end: pageHeightPx },
+            { horizontal: false, at: right - overlapPx, from: top, to: bottom, end: pageHeightPx }
+        ] : [];
+
+        // Parts of a line to draw: its length across the artwork, or its ends out in the margin
+        const segmentsOf = ({ from, to, end }, style) => {
+            let segments;
+            if (kept) {
+                segments = style === 'corners'
+                    ? [[from, from + markLength], [to - markLength, to]]
+                    : [[from, to]];
+            } else {
+                segments = style === 'corners'
+                    ? [[from - gap - markLength, from - gap], [to + gap, to + gap + markLength]]
+                    : [[0, from - gap], [to + gap, end]];
             }
+            return segments
+                .map(([start, stop]) => [Math.max(0, start), Math.min(end, stop)])
+                .filter(([start, stop]) => stop - start > 0);
+        };
+
+        const strokeSegment = ({ horizontal, at }, [start, stop]) => {
+            ctx.beginPath();
+            if (horizontal) {
+                ctx.moveTo(start, at);
+                ctx.lineTo(stop, at);
+            } else {
+                ctx.moveTo(at, start);
+                ctx.lineTo(at, stop);
+            }
+            ctx.stroke();
+        };
+
+        const lineWidth = Math.max(0.5, toPx(guides.lineWidthMm));
+        const dash = [toPx(GUIDE_DASH_MM), toPx(GUIDE_DASH_MM)];
+
+        ctx.save();
+        ctx.strokeStyle = guides.color;
+
+        // Overlap guides: faint dashed lines where the neighbouring page's edge will lie
+        ctx.globalAlpha = 0.5;
+        ctx.lineWidth = lineWidth / 2;
+        ctx.setLineDash(dash);
+        overlapLines.forEach(line => {
+            segmentsOf(line, 'lines').forEach(segment => strokeSegment(line, segment));
+        });
+
+        // Trim marks
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash(guides.style === 'scissors' ? dash : []);
+        trimLines.forEach(line => {
+            segmentsOf(line, guides.style).forEach(segment => strokeSegment(line, segment));
+        });
+
+        if (guides.style === 'scissors') {
+            this.addScissors(ctx, trimLines.map(line => ({ line, segments: segmentsOf(line, 'scissors') })), guides);
         }
 
-        return this.tiles;
+        ctx.restore();
     }
 
     /**
-     * Add crop marks to a tile context
+     * Put a scissors icon at the start of the first segment of every cut line that has room for it
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Array} cuts - { line, segments } from addCropMarks
+     * @param {Object} guides
      */
-    addCropMarks(ctx, width, height, overlapPx) {
-        const markLength = 20;
-        const markOffset = 5;
-        
+    addScissors(ctx, cuts, guides) {
+        const size = (SCISSORS_SIZE_MM / 25.4) * this.config.dpi;
+
         ctx.save();
-        ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
-        ctx.lineWidth = 0.5;
-        ctx.setLineDash([5, 5]);
+        ctx.setLineDash([]);
+        ctx.font = `${size}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = size * 0.2;
+        ctx.lineJoin = 'round';
+
+        cuts.forEach(({ line, segments }) => {
+            const segment = segments.find(([start, stop]) => stop - start >= size * 2);
+            if (!segment) return;
+
+            const along = segment[0] + size;
+            ctx.save();
+            if (line.horizontal) {
+                ctx.translate(along, line.at);
+            } else {
+                ctx.translate(line.at, along);
+                ctx.rotate(Math.PI / 2);
+            }
+            // The blade cuts along the line, so the icon sits on a white patch that hides it
+            ctx.strokeStyle = '#ffffff';
+            ctx.strokeText('\u2702', 0, 0);
+            ctx.fillStyle = guides.color;
+            ctx.fillText('\u2702', 0, 0);
+            ctx.restore();
+        });
 
-        // Draw overlap guides
-        if (overlapPx > 0) {
-            // Top overlap line
-            ctx.beginPath();
-            ctx.moveTo(0, overlapPx);
-            ctx.lineTo(width, overlapPx);
-            ctx.stroke();
+        ctx.restore();
+    }
 
-            // Bottom overlap line
-            ctx.beginPath();
-            ctx.moveTo(0, height - overlapPx);
-            ctx.lineTo(width, height - overlapPx);
-            ctx.stroke();
+    /**
+     * Add crosshair targets in the middle of every overlap strip the tile shares with a neighbour
+     * Targets sit at the same board position on both pages of a shared edge, so they land on
+     * top of each other when the pages are overlapped correctly. Without an overlap there is
+     * no shared strip, so no targets are drawn.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} tile
+     * @param {Object} guides - Colour and line width of the targets
+     */
+    addRegistrationMarks(ctx, tile, guides) {
+        const { marginPx, contentWidthPx, contentHeightPx, overlapPx, dpi } = this.config;
+        if (overlapPx <= 0) return;
+
+        // Never wider than the strip, so the neighbouring page covers the whole target
+        const radius = Math.min(
+            Utils.clamp(
+                overlapPx * 0.4,
+                Utils.mmToPixels(REGISTRATION_MIN_RADIUS_MM, dpi),
+                Utils.mmToPixels(REGISTRATION_MAX_RADIUS_MM, dpi)
+            ),
+            overlapPx / 2
+        );
+        const lineWidth = Math.max(1, (guides.lineWidthMm / 25.4) * dpi);
+
+        const left = marginPx.left;
+        const top = marginPx.top;
+        const right = left + contentWidthPx;
+        const bottom = top + contentHeightPx;
+        const inset = overlapPx / 2;
+
+        // Two targets per edge, clear of the corners where four pages meet
+        const targets = [];
+        [0.25, 0.75].forEach(fraction => {
+            const x = left + contentWidthPx * fraction;
+            const y = top + contentHeightPx * fraction;
+            if (tile.hasLeftOverlap) targets.push([left + inset, y]);
+            if (tile.hasRightOverlap) targets.push([right - inset, y]);
+            if (tile.hasTopOverlap) targets.push([x, top + inset]);
+            if (tile.hasBottomOverlap) targets.push([x, bottom - inset]);
+        });
 
-            // Left overlap line
+        ctx.save();
+        ctx.setLineDash([]);
+        targets.forEach(([x, y]) => {
             ctx.beginPath();
-            ctx.moveTo(overlapPx, 0);
-            ctx.lineTo(overlapPx, height);
+            ctx.arc(x, y, radius * 0.6, 0, Math.PI * 2);
+            ctx.moveTo(x - radius, y);
+            ctx.lineTo(x + radius, y);
+            ctx.moveTo(x, y - radius);
+            ctx.lineTo(x, y + radius);
+
+            // A white halo keeps the target visible on dark artwork
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.lineWidth = lineWidth * 3;
             ctx.stroke();
-
-            // Right overlap line
-            ctx.beginPath();
-            ctx.moveTo(width - overlapPx, 0);
-            ctx.lineTo(width - overlapPx, height);
+            ctx.strokeStyle = guides.color;
+            ctx.lineWidth = lineWidth;
             ctx.stroke();
-        }
+        });
+        ctx.restore();
+    }
 
-        // Corner crop marks
-        ctx.setLineDash([]);
-        ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
-        ctx.lineWidth = 1;
-
-        // Top-left
-        ctx.beginPath();
-        ctx.moveTo(0, markLength);
-        ctx.lineTo(0, 0);
-        ctx.lineTo(markLength, 0);
-        ctx.stroke();
-
-        // Top-right
-        ctx.beginPath();
-        ctx.moveTo(width - markLength, 0);
-        ctx.lineTo(width, 0);
-        ctx.lineTo(width, markLength);
-        ctx.stroke();
-
-        // Bottom-left
-        ctx.beginPath();
-        ctx.moveTo(0, height - markLength);
-        ctx.lineTo(0, height);
-        ctx.lineTo(markLength, height);
-        ctx.stroke();
-
-        // Bottom-right
-        ctx.beginPath();
-        ctx.moveTo(width - markLength, height);
-        ctx.lineTo(width, height);
-        ctx.lineTo(width, height - markLength);
-        ctx.stroke();
+    /**
+     * Label every edge that joins another page with the number of that page
+     * Labels go in the unprinted margin when it is deep enough, otherwise just inside the edge.
+     * The arrow always points at the edge: side labels are turned to run along it.
+     */
+    addEdgeLabels(ctx, tile) {
+        const { cols, marginPx, contentWidthPx, contentHeightPx, dpi } = this.config;
+        const firstPage = this.config.firstPage || 1;
+        const pageAt = (row, col) => firstPage + row * cols + col;
+        const fontPx = Utils.mmToPixels(EDGE_LABEL_SIZE_MM, dpi);
+
+        // Distance from the content edge to the label's centre; negative is out into the margin
+        const offset = (margin) => (margin >= fontPx * 1.5 ? -margin / 2 : fontPx);
+
+        const left = marginPx.left;
+        const top = marginPx.top;
+        const right = left + contentWidthPx;
+        const bottom = top + contentHeightPx;
+        const centerX = left + contentWidthPx / 2;
+        const centerY = top + contentHeightPx / 2;
+
+        const labels = [];
+        if (tile.hasTopOverlap) {
+            labels.push({ text: `↑ joins page ${pageAt(tile.row - 1, tile.col)}`, x: centerX, y: top + offset(marginPx.top), angle: 0 });
+        }
+        if (tile.hasBottomOverlap) {
+            labels.push({ text: `↓ joins page ${pageAt(tile.row + 1, tile.col)}`, x: centerX, y: bottom - offset(marginPx.bottom), angle: 0 });
+        }
+        if (tile.hasLeftOverlap) {
+            labels.push({ text: `↑ joins page ${pageAt(tile.row, tile.col - 1)}`, x: left + offset(marginPx.left), y: centerY, angle: -Math.PI / 2 });
+        }
+        if (tile.hasRightOverlap) {
+            labels.push({ text: `↑ joins page ${pageAt(tile.row, tile.col + 1)}`, x: right - offset(marginPx.right), y: centerY, angle: Math.PI / 2 });
+        }
 
+        ctx.save();
+        ctx.font = `600 ${fontPx}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        labels.forEach(({ text, x, y, angle }) => {
+            ctx.save();
+            ctx.translate(x, y);
+            ctx.rotate(angle);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.lineWidth = fontPx * 0.25;
+            ctx.strokeText(text, 0, 0);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+            ctx.fillText(text, 0, 0);
+            ctx.restore();
+        });
         ctx.restore();
     }
 
@@ -193,17 +482,7 @@ class GridSplitter {
      */
     generateThumbnails(maxSize = 200) {
         return this.tiles.map(tile => {
-            const canvas = tile.canvas;
-            const scale = Math.min(maxSize / canvas.width, maxSize / canvas.height);
-            
-            const thumbCanvas = document.createElement('canvas');
-            thumbCanvas.width = Math.round(canvas.width * scale);
-            thumbCanvas.height = Math.round(canvas.height * scale);
-            
-            const ctx = thumbCanvas.getContext('2d');
-            ctx.imageSmoothingEnabled = true;
-            ctx.imageSmoothingQuality = 'high';
-            ctx.drawImage(canvas, 0, 0, thumbCanvas.width, thumbCanvas.height);
+            const thumbCanvas = this.createPreviewCanvas(tile.canvas || tile.previewCanvas, maxSize);
             
             return {
                 ...tile,
@@ -241,6 +520,7 @@ class GridSplitter {
     reset() {
         this.tiles = [];
         this.config = null;
+        this.source = null;
     }
 }
 
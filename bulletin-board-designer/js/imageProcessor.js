@@ -3,21 +3,49 @@
  * Handles image upscaling with various algorithms
  */
 
+// Separable kernel behind each algorithm (see ResampleKernels.FILTERS)
+const ALGORITHM_FILTERS = {
+    bicubic: 'bicubic',
+    lanczos2: 'lanczos2',
+    lanczos: 'lanczos3',
+    lanczos4: 'lanczos4',
+    edge: 'bicubic'     // After Scale2x passes, which do the real enlarging
+};
+
+// Algorithms the browser's own drawImage scaling handles
+const BROWSER_ALGORITHMS = ['bilinear', 'nearest'];
+
 class ImageProcessor {
     constructor() {
         this.originalImage = null;
+        this.vectorSource = null;  // VectorSource for SVG/PDF input, rendered instead of resampled
         this.processedCanvas = null;
+        this.sharpening = null;    // { amount, radius } unsharp mask applied after upscaling
+
+        // Kernel resampling runs in background workers when the browser allows it
+        this.workerPool = WorkerPool.isSupported() ? new WorkerPool('js/resampleWorker.js') : null;
     }
 
     /**
      * Set the source image
      * @param {HTMLImageElement} image 
+     * @param {VectorSource} vectorSource - Vector artwork the image previews, if any
      */
-    setImage(image) {
+    setImage(image, vectorSource = null) {
         this.originalImage = image;
+        this.vectorSource = vectorSource;
         this.processedCanvas = null;
     }
 
+    /**
+     * Set the unsharp mask applied after upscaling
+     * @param {number} amount - Strength, 0 turns sharpening off (1 = 100%)
+     * @param {number} radius - Blur radius in output pixels
+     */
+    setSharpening(amount, radius) {
+        this.sharpening = amount > 0 && radius > 0 ? { amount, radius } : null;
+    }
+
     /**
      * Get original image dimensions
      */
@@ -31,235 +59,499 @@ class ImageProcessor {
 
     /**
      * Upscale image using specified algorithm
+     * The result is always exactly targetWidth × targetHeight; fitMode decides
+     * how a source with a different aspect ratio fills that area.
      * @param {number} targetWidth 
      * @param {number} targetHeight 
-     * @param {string} algorithm - 'bilinear', 'bicubic', or 'lanczos'
+     * @param {string} algorithm - 'nearest', 'bilinear', 'bicubic', 'lanczos2', 'lanczos' (3 lobes),
+     *   'lanczos4' or 'edge' (edge-directed, for line art and lettering)
      * @param {function} progressCallback - Optional progress callback
+     * @param {string} fitMode - 'contain' (letterbox), 'cover' (crop) or 'stretch'
+     * @param {Object} cropRect - Optional { x, y, width, height } source region to use instead of the whole image
+     * @param {AbortSignal} signal - Optional signal that cancels the upscale
      * @returns {Promise<HTMLCanvasElement>}
      */
-    async upscale(targetWidth, targetHeight, algorithm = 'lanczos', progressCallback = null) {
+    async upscale(targetWidth, targetHeight, algorithm = 'lanczos', progressCallback = null, fitMode = 'contain', cropRect = null, signal = null) {
+        const renderer = this.createBoardRenderer(targetWidth, targetHeight, algorithm, fitMode, cropRect);
+        try {
+            const result = await renderer.renderRegion(
+                { x: 0, y: 0, width: targetWidth, height: targetHeight },
+                progressCallback,
+                signal
+            );
+
+            this.processedCanvas = result;
+            return result;
+        } finally {
+            renderer.release();
+        }
+    }
+
+    /**
+     * Create a renderer that produces any rectangle of the upscaled board on demand
+     * Only the source image is kept in memory: each region is resampled from just the
+     * source pixels it needs (plus the kernel margin), so the full board is never allocated.
+     * Takes the same arguments as upscale() and applies the current sharpening.
+     * Vector sources ignore the algorithm and sharpening and are drawn at full resolution.
+     * Call release() once the renderer is no longer needed.
+     * @returns {Object} { width, height, renderRegion(region, progressCallback, signal), release() }
+     */
+    createBoardRenderer(targetWidth, targetHeight, algorithm = 'lanczos', fitMode = 'contain', cropRect = null) {
         if (!this.originalImage) {
             throw new Error('No image loaded');
         }
 
-        const srcWidth = this.originalImage.naturalWidth;
-        const srcHeight = this.originalImage.naturalHeight;
+        const region = cropRect || {
+            x: 0,
+            y: 0,
+            width: this.originalImage.naturalWidth,
+            height: this.originalImage.naturalHeight
+        };
 
-        // Calculate aspect-ratio preserving dimensions
-        const scale = Math.min(targetWidth / srcWidth, targetHeight / srcHeight);
-        const newWidth = Math.round(srcWidth * scale);
-        const newHeight = Math.round(srcHeight * scale);
+        const layout = ImageProcessor.calculateFitLayout(
+            region.width,
+            region.height,
+            targetWidth,
+            targetHeight,
+            fitMode
+        );
+        const crop = {
+            ...layout.crop,
+            x: region.x + layout.crop.x,
+            y: region.y + layout.crop.y
+        };
+        const drawRect = {
+            x: layout.drawX,
+            y: layout.drawY,
+            width: layout.drawWidth,
+            height: layout.drawHeight
+        };
 
-        if (progressCallback) progressCallback(0);
+        if (this.vectorSource) {
+            return this.createVectorRenderer(crop, drawRect, targetWidth, targetHeight);
+        }
 
-        // Create source canvas
+        // Create source canvas from the (possibly cropped) source region
         const srcCanvas = document.createElement('canvas');
-        srcCanvas.width = srcWidth;
-        srcCanvas.height = srcHeight;
+        srcCanvas.width = crop.width;
+        srcCanvas.height = crop.height;
         const srcCtx = srcCanvas.getContext('2d');
-        srcCtx.drawImage(this.originalImage, 0, 0);
-
-        if (progressCallback) progressCallback(10);
-
-        // Choose upscaling method based on algorithm
-        let result;
-        switch (algorithm) {
-            case 'bilinear':
-                result = await this.upscaleBilinear(srcCanvas, newWidth, newHeight, progressCallback);
-                break;
-            case 'bicubic':
-                result = await this.upscaleBicubic(srcCanvas, newWidth, newHeight, progressCallback);
-                break;
-            case 'lanczos':
-            default:
-                result = await this.upscaleLanczos(srcCanvas, newWidth, newHeight, progressCallback);
-                break;
+        srcCtx.drawImage(
+            this.originalImage,
+            crop.x, crop.y, crop.width, crop.height,
+            0, 0, crop.width, crop.height
+        );
+
+        const board = { width: targetWidth, height: targetHeight };
+        const sharpening = this.sharpening;
+
+        return {
+            width: targetWidth,
+            height: targetHeight,
+            renderRegion: (boardRegion, progressCallback = null, signal = null) => sharpening
+                ? this.renderSharpenedRegion(srcCanvas, drawRect, board, boardRegion, algorithm, sharpening, progressCallback, signal)
+                : this.renderBoardRegion(srcCanvas, drawRect, boardRegion, algorithm, progressCallback, signal),
+            release: () => Utils.releaseCanvas(srcCanvas)
+        };
+    }
+
+    /**
+     * Renderer for vector sources: each region is drawn straight from the artwork
+     * at print resolution, so there is no interpolation at any scale
+     * @param {Object} crop - Source rectangle in the vector's pixel space
+     * @param {Object} drawRect - Where the crop sits on the board
+     */
+    createVectorRenderer(crop, drawRect, targetWidth, targetHeight) {
+        const vectorSource = this.vectorSource;
+
+        const renderRegion = async (region, progressCallback = null, signal = null) => {
+            Utils.throwIfAborted(signal);
+            if (progressCallback) progressCallback(0);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = region.width;
+            canvas.height = region.height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, region.width, region.height);
+
+            try {
+                await vectorSource.render(ctx, crop, {
+                    x: drawRect.x - region.x,
+                    y: drawRect.y - region.y,
+                    width: drawRect.width,
+                    height: drawRect.height
+                }, signal);
+            } catch (error) {
+                Utils.releaseCanvas(canvas);
+                throw error;
+            }
+
+            if (progressCallback) progressCallback(100);
+            return canvas;
+        };
+
+        return {
+            width: targetWidth,
+            height: targetHeight,
+            renderRegion,
+            release: () => {}
+        };
+    }
+
+    /**
+     * Render one rectangle of the board
+     * @param {HTMLCanvasElement} srcCanvas - Source pixels that fill drawRect
+     * @param {Object} drawRect - Where the resampled source sits on the board
+     * @param {Object} region - { x, y, width, height } of the board to render
+     * @param {string} algorithm
+     * @param {function} progressCallback
+     * @param {AbortSignal} signal
+     * @returns {Promise<HTMLCanvasElement>} region.width × region.height canvas
+     */
+    async renderBoardRegion(srcCanvas, drawRect, region, algorithm, progressCallback, signal = null) {
+        Utils.throwIfAborted(signal);
+        if (progressCallback) progressCallback(0);
+
+        // Part of the region the image covers; letterboxing leaves the rest white
+        const left = Math.max(region.x, drawRect.x);
+        const top = Math.max(region.y, drawRect.y);
+        const right = Math.min(region.x + region.width, drawRect.x + drawRect.width);
+        const bottom = Math.min(region.y + region.height, drawRect.y + drawRect.height);
+        const covered = right > left && bottom > top;
+
+        let resampled = null;
+        if (covered) {
+            resampled = await this.resampleRegion(
+                srcCanvas,
+                drawRect.width,
+                drawRect.height,
+                { x: left - drawRect.x, y: top - drawRect.y, width: right - left, height: bottom - top },
+                algorithm,
+                progressCallback,
+                signal
+            );
+        }
+
+        let result = resampled;
+        if (!covered || resampled.width !== region.width || resampled.height !== region.height) {
+            result = document.createElement('canvas');
+            result.width = region.width;
+            result.height = region.height;
+            const resultCtx = result.getContext('2d');
+            resultCtx.fillStyle = '#ffffff';
+            resultCtx.fillRect(0, 0, region.width, region.height);
+            if (resampled) {
+                resultCtx.drawImage(resampled, left - region.x, top - region.y);
+                Utils.releaseCanvas(resampled);
+            }
         }
 
-        this.processedCanvas = result;
-        
         if (progressCallback) progressCallback(100);
-        
+
         return result;
     }
 
     /**
-     * Simple bilinear upscaling using browser's built-in scaling
+     * Render one rectangle of the board with an unsharp mask
+     * The region is rendered with a margin wide enough for the blur, so tiles sharpen
+     * exactly as the whole board would and no seams appear where pages meet.
+     * @param {Object} board - { width, height } of the whole board
+     * @param {Object} sharpening - { amount, radius }
+     * @returns {Promise<HTMLCanvasElement>} region.width × region.height canvas
      */
-    async upscaleBilinear(srcCanvas, targetWidth, targetHeight, progressCallback) {
-        const destCanvas = document.createElement('canvas');
-        destCanvas.width = targetWidth;
-        destCanvas.height = targetHeight;
-        const destCtx = destCanvas.getContext('2d');
-        
-        // Use high-quality image smoothing
-        destCtx.imageSmoothingEnabled = true;
-        destCtx.imageSmoothingQuality = 'high';
-        destCtx.drawImage(srcCanvas, 0, 0, targetWidth, targetHeight);
-        
-        if (progressCallback) progressCallback(90);
-        
-        return destCanvas;
+    async renderSharpenedRegion(srcCanvas, drawRect, board, region, algorithm, sharpening, progressCallback, signal = null) {
+        const margin = ResampleKernels.sharpenMargin(sharpening.radius);
+        const left = Math.max(0, region.x - margin);
+        const top = Math.max(0, region.y - margin);
+        const expanded = {
+            x: left,
+            y: top,
+            width: Math.min(board.width, region.x + region.width + margin) - left,
+            height: Math.min(board.height, region.y + region.height + margin) - top
+        };
+
+        const rendered = await this.renderBoardRegion(
+            srcCanvas,
+            drawRect,
+            expanded,
+            algorithm,
+            (progress) => {
+                if (progressCallback) progressCallback(progress * 0.9);
+            },
+            signal
+        );
+
+        Utils.throwIfAborted(signal);
+
+        const renderedCtx = rendered.getContext('2d');
+        const pixels = renderedCtx.getImageData(0, 0, expanded.width, expanded.height);
+        ResampleKernels.unsharpMask(pixels.data, expanded.width, expanded.height, sharpening.amount, sharpening.radius);
+        Utils.releaseCanvas(rendered);
+
+        const result = document.createElement('canvas');
+        result.width = region.width;
+        result.height = region.height;
+        result.getContext('2d').putImageData(pixels, expanded.x - region.x, expanded.y - region.y);
+
+        if (progressCallback) progressCallback(100);
+
+        return result;
     }
 
     /**
-     * Bicubic upscaling - multi-step approach for better quality
+     * Work out which part of the source is used and where it lands in the target
+     * @param {number} srcWidth
+     * @param {number} srcHeight
+     * @param {number} targetWidth
+     * @param {number} targetHeight
+     * @param {string} fitMode - 'contain', 'cover' or 'stretch'
+     * @returns {Object} crop rectangle in source pixels and draw rectangle in target pixels
      */
-    async upscaleBicubic(srcCanvas, targetWidth, targetHeight, progressCallback) {
-        let currentCanvas = srcCanvas;
-        let currentWidth = srcCanvas.width;
-        let currentHeight = srcCanvas.height;
-        
-        const steps = [];
-        let w = currentWidth;
-        let h = currentHeight;
-        
-        // Plan upscaling steps (2x at a time for better quality)
-        while (w < targetWidth || h < targetHeight) {
-            w = Math.min(w * 2, targetWidth);
-            h = Math.min(h * 2, targetHeight);
-            steps.push({ width: w, height: h });
-        }
-        
-        // Make sure final step reaches target
-        if (steps.length === 0 || steps[steps.length - 1].width !== targetWidth || steps[steps.length - 1].height !== targetHeight) {
-            steps.push({ width: targetWidth, height: targetHeight });
-        }
-        
-        for (let i = 0; i < steps.length; i++) {
-            const step = steps[i];
-            const destCanvas = document.createElement('canvas');
-            destCanvas.width = step.width;
-            destCanvas.height = step.height;
-            const destCtx = destCanvas.getContext('2d');
-            
-            destCtx.imageSmoothingEnabled = true;
-            destCtx.imageSmoothingQuality = 'high';
-            destCtx.drawImage(currentCanvas, 0, 0, step.width, step.height);
-            
-            currentCanvas = destCanvas;
-            
-            if (progressCallback) {
-                progressCallback(10 + (80 * (i + 1) / steps.length));
+    static calculateFitLayout(srcWidth, srcHeight, targetWidth, targetHeight, fitMode = 'contain') {
+        const fullSource = { x: 0, y: 0, width: srcWidth, height: srcHeight };
+
+        switch (fitMode) {
+            case 'stretch':
+                return {
+                    crop: fullSource,
+                    drawX: 0,
+                    drawY: 0,
+                    drawWidth: targetWidth,
+                    drawHeight: targetHeight
+                };
+
+            case 'cover': {
+                // Crop the source to the target aspect ratio, centred
+                const scale = Math.max(targetWidth / srcWidth, targetHeight / srcHeight);
+                const cropWidth = Utils.clamp(Math.round(targetWidth / scale), 1, srcWidth);
+                const cropHeight = Utils.clamp(Math.round(targetHeight / scale), 1, srcHeight);
+                return {
+                    crop: {
+                        x: Math.round((srcWidth - cropWidth) / 2),
+                        y: Math.round((srcHeight - cropHeight) / 2),
+                        width: cropWidth,
+                        height: cropHeight
+                    },
+                    drawX: 0,
+                    drawY: 0,
+                    drawWidth: targetWidth,
+                    drawHeight: targetHeight
+                };
+            }
+
+            case 'contain':
+            default: {
+                // Fit inside the target and pad the remainder, centred
+                const scale = Math.min(targetWidth / srcWidth, targetHeight / srcHeight);
+                const drawWidth = Math.round(srcWidth * scale);
+                const drawHeight = Math.round(srcHeight * scale);
+                return {
+                    crop: fullSource,
+                    drawX: Math.round((targetWidth - drawWidth) / 2),
+                    drawY: Math.round((targetHeight - drawHeight) / 2),
+                    drawWidth,
+                    drawHeight
+                };
             }
-            
-            // Allow UI to update
-            await Utils.sleep(0);
         }
-        
-        return currentCanvas;
     }
 
     /**
-     * Lanczos resampling - highest quality upscaling
-     * Uses a simplified approach that still produces excellent results
+     * Resample a region of the source scaled to targetWidth × targetHeight
+     * @param {HTMLCanvasElement} srcCanvas
+     * @param {number} targetWidth - Full scaled width
+     * @param {number} targetHeight - Full scaled height
+     * @param {Object} region - { x, y, width, height } of the scaled image to produce
+     * @param {string} algorithm
+     * @param {function} progressCallback
+     * @param {AbortSignal} signal
+     * @returns {Promise<HTMLCanvasElement>} region.width × region.height canvas
      */
-    async upscaleLanczos(srcCanvas, targetWidth, targetHeight, progressCallback) {
-        // For very large upscales, use stepped approach with Lanczos-like filtering
-        const scale = targetWidth / srcCanvas.width;
-        
-        if (scale <= 2) {
-            // Single step with high quality
-            return this.lanczosResample(srcCanvas, targetWidth, targetHeight, progressCallback);
-        } else {
-            // Multi-step for extreme upscales
-            let currentCanvas = srcCanvas;
-            let currentScale = 1;
-            const targetScale = scale;
-            let stepNum = 0;
-            const totalSteps = Math.ceil(Math.log2(scale));
-            
-            while (currentScale < targetScale) {
-                const nextScale = Math.min(currentScale * 2, targetScale);
-                const nextWidth = Math.round(srcCanvas.width * nextScale);
-                const nextHeight = Math.round(srcCanvas.height * nextScale);
-                
-                currentCanvas = await this.lanczosResample(currentCanvas, nextWidth, nextHeight);
-                currentScale = nextScale;
-                stepNum++;
-                
-                if (progressCallback) {
-                    progressCallback(10 + (80 * stepNum / totalSteps));
-                }
-                
-                await Utils.sleep(0);
+    async resampleRegion(srcCanvas, targetWidth, targetHeight, region, algorithm, progressCallback, signal = null) {
+        if (BROWSER_ALGORITHMS.includes(algorithm)) {
+            return this.resampleRegionInBrowser(srcCanvas, targetWidth, targetHeight, region, algorithm === 'bilinear', progressCallback);
+        }
+
+        const filter = ALGORITHM_FILTERS[algorithm] || ALGORITHM_FILTERS.lanczos;
+        const prescale = algorithm === 'edge'
+            ? ResampleKernels.edgePasses(srcCanvas.width, srcCanvas.height, targetWidth, targetHeight)
+            : 0;
+        const kernel = { filter, prescale };
+
+        if (this.workerPool) {
+            try {
+                return await this.resampleRegionInWorkers(srcCanvas, targetWidth, targetHeight, region, kernel, progressCallback, signal);
+            } catch (error) {
+                if (Utils.isAbortError(error)) throw error;
+
+                // Workers can be blocked (e.g. when opened from file://); don't try them again
+                console.warn('Worker resampling unavailable, using main thread:', error);
+                this.workerPool.terminate();
+                this.workerPool = null;
             }
-            
-            return currentCanvas;
         }
+
+        return this.resampleRegionOnMainThread(srcCanvas, targetWidth, targetHeight, region, kernel, progressCallback, signal);
     }
 
     /**
-     * Lanczos resampling implementation
+     * Upscaling with the browser's built-in scaling: smoothed (bilinear) or
+     * nearest neighbour, which keeps pixel art and hard edges blocky instead of blurred
+     * The whole source is drawn scaled and offset; the region canvas clips it
      */
-    async lanczosResample(srcCanvas, targetWidth, targetHeight, progressCallback) {
+    async resampleRegionInBrowser(srcCanvas, targetWidth, targetHeight, region, smooth, progressCallback) {
         const destCanvas = document.createElement('canvas');
-        destCanvas.width = targetWidth;
-        destCanvas.height = targetHeight;
+        destCanvas.width = region.width;
+        destCanvas.height = region.height;
         const destCtx = destCanvas.getContext('2d');
         
-        // Get source image data
-        const srcCtx = srcCanvas.getContext('2d');
-        const srcData = srcCtx.getImageData(0, 0, srcCanvas.width, srcCanvas.height);
-        const destData = destCtx.createImageData(targetWidth, targetHeight);
+        // Use high-quality image smoothing, or none for nearest neighbour
+        destCtx.imageSmoothingEnabled = smooth;
+        destCtx.imageSmoothingQuality = 'high';
+        destCtx.drawImage(srcCanvas, -region.x, -region.y, targetWidth, targetHeight);
         
+        if (progressCallback) progressCallback(90);
+        
+        return destCanvas;
+    }
+
+    /**
+     * Kernel resampling split into horizontal bands across the worker pool
+     * Each worker receives only the source window its band needs as a transferable ImageBitmap
+     */
+    async resampleRegionInWorkers(srcCanvas, targetWidth, targetHeight, region, kernel, progressCallback, signal) {
+        const destCanvas = document.createElement('canvas');
+        destCanvas.width = region.width;
+        destCanvas.height = region.height;
+        const destCtx = destCanvas.getContext('2d');
+
         const srcWidth = srcCanvas.width;
         const srcHeight = srcCanvas.height;
-        const scaleX = srcWidth / targetWidth;
-        const scaleY = srcHeight / targetHeight;
+
+        // A few bands per worker keeps every worker busy until the end
+        const bandCount = Math.min(region.height, this.workerPool.size * 2);
+        const bandHeight = Math.ceil(region.height / bandCount);
+        const endY = region.y + region.height;
+        let rowsDone = 0;
+
+        const jobs = [];
+        try {
+            for (let startY = region.y; startY < endY; startY += bandHeight) {
+                Utils.throwIfAborted(signal);
+
+                const bandEndY = Math.min(startY + bandHeight, endY);
+                const band = { x: region.x, y: startY, width: region.width, height: bandEndY - startY };
+                const srcWindow = ResampleKernels.sourceWindow(
+                    srcWidth, srcHeight, targetWidth, targetHeight, band, kernel.filter, kernel.prescale
+                );
+
+                const bitmap = await createImageBitmap(
+                    srcCanvas,
+                    srcWindow.x, srcWindow.y, srcWindow.width, srcWindow.height,
+                    { premultiplyAlpha: 'none', colorSpaceConversion: 'none' }
+                );
+
+                const job = this.workerPool.run(
+                    {
+                        bitmap,
+                        srcWidth,
+                        srcHeight,
+                        srcOffsetX: srcWindow.x,
+                        srcOffsetY: srcWindow.y,
+                        targetWidth,
+                        targetHeight,
+                        startX: region.x,
+                        endX: region.x + region.width,
+                        startY,
+                        endY: bandEndY,
+                        filter: kernel.filter,
+                        prescale: kernel.prescale
+                    },
+                    [bitmap],
+                    (message) => {
+                        rowsDone += message.rows;
+                        if (progressCallback) {
+                            progressCallback(10 + (80 * rowsDone / region.height));
+                        }
+                    },
+                    signal
+                ).then(({ buffer }) => {
+                    const pixels = new ImageData(new Uint8ClampedArray(buffer), band.width, band.height);
+                    destCtx.putImageData(pixels, 0, startY - region.y);
+                });
+
+                jobs.push(job);
+            }
+
+            await Promise.all(jobs);
+        } catch (error) {
+            // Let the bands already sent finish or cancel before dropping the canvas
+            await Promise.allSettled(jobs);
+            Utils.releaseCanvas(destCanvas);
+            throw error;
+        }
+
+        return destCanvas;
+    }
+
+    /**
+     * Kernel resampling on the main thread, yielding to the UI between chunks
+     */
+    async resampleRegionOnMainThread(srcCanvas, targetWidth, targetHeight, region, kernel, progressCallback, signal) {
+        const destCanvas = document.createElement('canvas');
+        destCanvas.width = region.width;
+        destCanvas.height = region.height;
+        const destCtx = destCanvas.getContext('2d');
         
-        // Lanczos kernel function
-        const lanczos = (x, a = 3) => {
-            if (x === 0) return 1;
-            if (x < -a || x > a) return 0;
-            const pix = Math.PI * x;
-            return (a * Math.sin(pix) * Math.sin(pix / a)) / (pix * pix);
+        // Get just the source pixels this region needs
+        const srcWindow = ResampleKernels.sourceWindow(
+            srcCanvas.width, srcCanvas.height, targetWidth, targetHeight, region, kernel.filter, kernel.prescale
+        );
+        const srcCtx = srcCanvas.getContext('2d');
+        const srcData = srcCtx.getImageData(srcWindow.x, srcWindow.y, srcWindow.width, srcWindow.height);
+        const destData = destCtx.createImageData(region.width, region.height);
+
+        // Enlarge the window with any Scale2x passes once, not once per chunk
+        let source = {
+            src: srcData.data,
+            srcWidth: srcCanvas.width,
+            srcHeight: srcCanvas.height,
+            srcOffsetX: srcWindow.x,
+            srcOffsetY: srcWindow.y,
+            srcStride: srcWindow.width,
+            prescale: kernel.prescale
         };
-        
-        const filterSize = 3;
+        if (kernel.prescale) {
+            source = ResampleKernels.prescaleJob(source);
+        }
         
         // Process in chunks to allow UI updates
-        const chunkSize = Math.ceil(targetHeight / 10);
+        const chunkSize = Math.ceil(region.height / 10);
+        const rowBytes = region.width * 4;
         
-        for (let startY = 0; startY < targetHeight; startY += chunkSize) {
-            const endY = Math.min(startY + chunkSize, targetHeight);
-            
-            for (let y = startY; y < endY; y++) {
-                for (let x = 0; x < targetWidth; x++) {
-                    const srcX = x * scaleX;
-                    const srcY = y * scaleY;
-                    
-                    let r = 0, g = 0, b = 0, a = 0;
-                    let weightSum = 0;
-                    
-                    const minX = Math.max(0, Math.floor(srcX) - filterSize);
-                    const maxX = Math.min(srcWidth - 1, Math.ceil(srcX) + filterSize);
-                    const minY = Math.max(0, Math.floor(srcY) - filterSize);
-                    const maxY = Math.min(srcHeight - 1, Math.ceil(srcY) + filterSize);
-                    
-                    for (let sy = minY; sy <= maxY; sy++) {
-                        for (let sx = minX; sx <= maxX; sx++) {
-                            const weight = lanczos(srcX - sx) * lanczos(srcY - sy);
-                            const idx = (sy * srcWidth + sx) * 4;
-                            
-                            r += srcData.data[idx] * weight;
-                            g += srcData.data[idx + 1] * weight;
-                            b += srcData.data[idx + 2] * weight;
-                            a += srcData.data[idx + 3] * weight;
-                            weightSum += weight;
-                        }
-                    }
-                    
-                    const destIdx = (y * targetWidth + x) * 4;
-                    destData.data[destIdx] = Utils.clamp(Math.round(r / weightSum), 0, 255);
-                    destData.data[destIdx + 1] = Utils.clamp(Math.round(g / weightSum), 0, 255);
-                    destData.data[destIdx + 2] = Utils.clamp(Math.round(b / weightSum), 0, 255);
-                    destData.data[destIdx + 3] = Utils.clamp(Math.round(a / weightSum), 0, 255);
-                }
+        for (let offsetY = 0; offsetY < region.height; offsetY += chunkSize) {
+            if (signal && signal.aborted) {
+                Utils.releaseCanvas(destCanvas);
+                throw Utils.createAbortError();
             }
+
+            const endOffsetY = Math.min(offsetY + chunkSize, region.height);
+            
+            ResampleKernels.resampleRegion({
+                ...source,
+                dest: destData.data.subarray(offsetY * rowBytes, endOffsetY * rowBytes),
+                targetWidth,
+                targetHeight,
+                startX: region.x,
+                endX: region.x + region.width,
+                startY: region.y + offsetY,
+                endY: region.y + endOffsetY,
+                filter: kernel.filter
+            });
             
             if (progressCallback) {
-                progressCallback(10 + (80 * endY / targetHeight));
+                progressCallback(10 + (80 * endOffsetY / region.height));
             }
             
             await Utils.sleep(0);
@@ -281,6 +573,7 @@ class ImageProcessor {
      */
     reset() {
         this.originalImage = null;
+        this.vectorSource = null;
         this.processedCanvas = null;
     }
 }
@@ -0,0 +1,130 @@
+/**
+ * Layer Editor
+ * Select, drag and scale composition layers directly on the preview canvas
+ */
+
+class LayerEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Preview canvas
+     * @param {Composition} composition
+     * @param {function} getBoardRect - Returns where the board lies on the canvas, in canvas pixels
+     */
+    constructor(canvas, composition, getBoardRect) {
+        this.canvas = canvas;
+        this.composition = composition;
+        this.getBoardRect = getBoardRect;
+        this.enabled = true;
+        this.drag = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Turn layer editing on or off (off while the crop editor owns the canvas)
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.drag = null;
+    }
+
+    /**
+     * Convert a pointer event to board coordinates on the preview
+     * @returns {Object|null} { x, y, rect } with x and y relative to the board rectangle
+     */
+    eventToBoard(e) {
+        const rect = this.getBoardRect();
+        if (!rect) return null;
+        const bounds = this.canvas.getBoundingClientRect();
+        const canvasX = (e.clientX - bounds.left) * (this.canvas.width / bounds.width);
+        const canvasY = (e.clientY - bounds.top) * (this.canvas.height / bounds.height);
+        return { x: canvasX - rect.x, y: canvasY - rect.y, rect };
+    }
+
+    hitTest(point) {
+        return this.composition.hitTest(point.x, point.y, point.rect.width, point.rect.height);
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.enabled || !this.composition.hasLayers()) return;
+            const point = this.eventToBoard(e);
+            if (!point) return;
+
+            const layer = this.hitTest(point);
+            if (!layer) {
+                if (this.composition.selectedId) this.composition.selectLayer(null);
+                return;
+            }
+
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            this.composition.selectLayer(layer.id);
+            this.drag = { id: layer.id, start: point, startX: layer.x, startY: layer.y };
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.enabled || !this.composition.hasLayers()) return;
+            const point = this.eventToBoard(e);
+            if (!point) return;
+
+            if (!this.drag) {
+                this.canvas.style.cursor = this.hitTest(point) ? 'move' : 'default';
+                return;
+            }
+
+            this.composition.updateLayer(this.drag.id, {
+                x: this.drag.startX + (point.x - this.drag.start.x) / point.rect.width,
+                y: this.drag.startY + (point.y - this.drag.start.y) / point.rect.height
+            });
+        });
+
+        const endDrag = (e) => {
+            if (!this.drag) return;
+            this.drag = null;
+            if (this.canvas.hasPointerCapture(e.pointerId)) {
+                this.canvas.releasePointerCapture(e.pointerId);
+            }
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+
+        // Mouse wheel over the selected layer scales it
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!this.enabled) return;
+            const selected = this.composition.getSelectedLayer();
+            const point = this.eventToBoard(e);
+            if (!selected || !point || this.hitTest(point) !== selected) return;
+
+            e.preventDefault();
+            const factor = e.deltaY < 0 ? 1.05 : 1 / 1.05;
+            this.composition.updateLayer(selected.id, {
+                size: Utils.clamp(selected.size * factor, 0.01, 2)
+            });
+        }, { passive: false });
+    }
+
+    /**
+     * Outline the selected layer
+     * @param {CanvasRenderingContext2D} ctx - Preview canvas context
+     */
+    drawOverlay(ctx) {
+        const layer = this.composition.getSelectedLayer();
+        const rect = this.getBoardRect();
+        if (!layer || !rect) return;
+
+        const { width, height } = this.composition.getLayerSize(layer, rect.width, rect.height);
+
+        ctx.save();
+        ctx.translate(rect.x + layer.x * rect.width, rect.y + layer.y * rect.height);
+        ctx.rotate(layer.rotation * Math.PI / 180);
+        ctx.strokeStyle = '#8b5cf6';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(-width / 2 - 3, -height / 2 - 3, width + 6, height + 6);
+        ctx.restore();
+    }
+}
+
+// Export
+window.LayerEditor = LayerEditor;
@@ -0,0 +1,230 @@
+/**
+ * Lettering
+ * Giant letters for bulletin boards: every character of a word becomes its own small
+ * board, printed on one page or spread over several when it is taller than a page
+ *
+ * Letter height is the cap height, so an "H" prints exactly that tall and other
+ * characters keep their natural proportions to it.
+ */
+
+// Font size glyphs are measured and drawn at; larger sizes are reached by scaling
+const LETTERING_FONT_SIZE = 1000;
+
+// Cut line drawn around each glyph
+const CUT_LINE_COLOR = '#6b7280';
+const CUT_LINE_WIDTH_MM = 0.3;
+
+// White space between the cut line and the edge of a glyph's board
+const GLYPH_PADDING_MM = 5;
+
+class Lettering {
+    constructor() {
+        // Canvas used only to measure glyphs
+        this.measureCtx = document.createElement('canvas').getContext('2d');
+    }
+
+    /**
+     * CSS font for the lettering options at a pixel size
+     */
+    static getFont(options, fontSize) {
+        return `${options.bold ? 700 : 400} ${fontSize}px "${options.fontFamily}", sans-serif`;
+    }
+
+    /**
+     * Wait for the lettering web font so glyphs are never measured or drawn in a fallback font
+     * @param {Object} options - Lettering options
+     */
+    async loadFont(options) {
+        if (!document.fonts) return;
+        await document.fonts.load(Lettering.getFont(options, 16), options.text).catch(() => null);
+    }
+
+    /**
+     * Ink bounds of a string at LETTERING_FONT_SIZE, relative to its baseline origin
+     */
+    measure(text, options) {
+        this.measureCtx.font = Lettering.getFont(options, LETTERING_FONT_SIZE);
+        this.measureCtx.textAlign = 'left';
+        this.measureCtx.textBaseline = 'alphabetic';
+        const metrics = this.measureCtx.measureText(text);
+        return {
+            left: metrics.actualBoundingBoxLeft,
+            right: metrics.actualBoundingBoxRight,
+            ascent: metrics.actualBoundingBoxAscent,
+            descent: metrics.actualBoundingBoxDescent
+        };
+    }
+
+    /**
+     * Lay out every character of the text (spaces excepted) as its own board
+     * @param {Object} options - { text, fontFamily, bold, heightCm, fill, outlineColor, outlineMm, cutLine, cutOffsetMm }
+     * @param {Object} pageSetup - { dpi, orientation, overlapMm, paperSize, customPaper, margins }
+     * @returns {Array} Glyphs with their board geometry and grid configuration
+     */
+    layout(options, pageSetup) {
+        const { dpi, orientation, overlapMm, paperSize, customPaper, margins } = pageSetup;
+        const gridFor = (widthMm, heightMm, overlap) => Utils.calculateGridDimensions(
+            widthMm, heightMm, dpi, orientation, overlap, paperSize, customPaper, margins
+        );
+
+        // Size the font so a capital H is exactly the requested height
+        const capHeight = this.measure('H', options).ascent || LETTERING_FONT_SIZE * 0.7;
+        const fontScale = Utils.mmToPixels(Utils.cmToMm(options.heightCm), dpi) / capHeight;
+
+        const outlinePx = Utils.mmToPixels(options.outlineMm, dpi);
+        const cutOffsetPx = options.cutLine ? Utils.mmToPixels(options.cutOffsetMm, dpi) : 0;
+        const cutLinePx = options.cutLine ? Math.max(1, Utils.mmToPixels(CUT_LINE_WIDTH_MM, dpi)) : 0;
+        const paddingPx = outlinePx + cutOffsetPx + cutLinePx + Utils.mmToPixels(GLYPH_PADDING_MM, dpi);
+
+        const page = gridFor(1, 1, 0);
+        // Margins and overlap that fill the page leave no room for any letter
+        if (!gridFor(1, 1, overlapMm).fits) return [];
+        const pageContentWidthMm = page.pageWidthMm - page.margins.left - page.margins.right;
+        const pageContentHeightMm = page.pageHeightMm - page.margins.top - page.margins.bottom;
+
+        const glyphs = [];
+        let firstPage = 1;
+
+        [...options.text].forEach(character => {
+            if (!character.trim()) return;
+
+            const bounds = this.measure(character, options);
+            const inkWidth = (bounds.left + bounds.right) * fontScale;
+            const inkHeight = (bounds.ascent + bounds.descent) * fontScale;
+            if (inkWidth <= 0 || inkHeight <= 0) return;
+
+            const boardWidth = inkWidth + paddingPx * 2;
+            const boardHeight = inkHeight + paddingPx * 2;
+
+            // A glyph that fits is centred on a single page; taller ones are tiled with overlap
+            const config = boardWidth <= page.contentWidthPx && boardHeight <= page.contentHeightPx
+                ? gridFor(pageContentWidthMm, pageContentHeightMm, 0)
+                : gridFor(Utils.pixelsToMm(boardWidth, dpi), Utils.pixelsToMm(boardHeight, dpi), overlapMm);
+
+            const inkX = (config.targetWidthPx - inkWidth) / 2;
+            const inkY = (config.targetHeightPx - inkHeight) / 2;
+
+            glyphs.push({
+                character,
+                index: glyphs.length,
+                firstPage,
+                config,
+                fontScale,
+                // Baseline origin of the glyph on its board
+                originX: inkX + bounds.left * fontScale,
+                originY: inkY + bounds.ascent * fontScale,
+                inkWidth,
+                inkHeight,
+                outlinePx,
+                cutOffsetPx,
+                cutLinePx
+            });
+            firstPage += config.totalPages;
+        });
+
+        return glyphs;
+    }
+
+    /**
+     * Place glyph boards side by side as the word reads, for previews and the assembly guide
+     * @param {Array} glyphs - From layout()
+     * @returns {Object} { width, height, placements: [{ glyph, x, y }] } in board pixels
+     */
+    static arrangeWord(glyphs) {
+        const gap = glyphs.length
+            ? Math.max(...glyphs.map(glyph => glyph.config.targetWidthPx)) * 0.1
+            : 0;
+
+        let x = 0;
+        const placements = glyphs.map(glyph => {
+            const placement = { glyph, x, y: 0 };
+            x += glyph.config.targetWidthPx + gap;
+            return placement;
+        });
+
+        return {
+            width: Math.max(x - gap, 1),
+            height: Math.max(1, ...glyphs.map(glyph => glyph.config.targetHeightPx)),
+            placements
+        };
+    }
+
+    /**
+     * Draw a glyph with its outline and cut line
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} glyph - From layout()
+     * @param {Object} options - Lettering options
+     * @param {number} x - Where the glyph's board starts on the canvas
+     * @param {number} y
+     * @param {number} scale - Canvas pixels per board pixel
+     */
+    drawGlyph(ctx, glyph, options, x = 0, y = 0, scale = 1) {
+        const drawScale = glyph.fontScale * scale;
+        // Line widths are given in board pixels; the context is scaled to the font size
+        const toFont = (px) => px / glyph.fontScale;
+
+        ctx.save();
+        ctx.translate(x + glyph.originX * scale, y + glyph.originY * scale);
+        ctx.scale(drawScale, drawScale);
+        ctx.font = Lettering.getFont(options, LETTERING_FONT_SIZE);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.lineJoin = 'round';
+
+        // Cut line: a ring at the cut offset outside the outline, made by stroking the glyph
+        // wide in the line colour and then slightly narrower in white
+        if (options.cutLine) {
+            const ringRadius = glyph.outlinePx + glyph.cutOffsetPx;
+            ctx.strokeStyle = CUT_LINE_COLOR;
+            ctx.lineWidth = toFont(ringRadius * 2 + glyph.cutLinePx);
+            ctx.strokeText(glyph.character, 0, 0);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = toFont(Math.max(0, ringRadius * 2 - glyph.cutLinePx));
+            ctx.strokeText(glyph.character, 0, 0);
+        }
+
+        // The outline is stroked centred on the glyph edge; the fill covers its inner half
+        if (glyph.outlinePx > 0) {
+            ctx.strokeStyle = options.outlineColor;
+            ctx.lineWidth = toFont(glyph.outlinePx * 2);
+            ctx.strokeText(glyph.character, 0, 0);
+        }
+
+        ctx.fillStyle = options.fill;
+        ctx.fillText(glyph.character, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Board renderer for one glyph, with the same interface as ImageProcessor.createBoardRenderer
+     * @param {Object} glyph - From layout()
+     * @param {Object} options - Lettering options; copied so later edits don't change exported tiles
+     * @returns {Object} { width, height, renderRegion(region, progressCallback, signal), release() }
+     */
+    createRenderer(glyph, options) {
+        const snapshot = { ...options };
+
+        return {
+            width: glyph.config.targetWidthPx,
+            height: glyph.config.targetHeightPx,
+            renderRegion: async (region, progressCallback = null, signal = null) => {
+                Utils.throwIfAborted(signal);
+
+                const canvas = document.createElement('canvas');
+                canvas.width = region.width;
+                canvas.height = region.height;
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, region.width, region.height);
+                this.drawGlyph(ctx, glyph, snapshot, -region.x, -region.y);
+
+                if (progressCallback) progressCallback(100);
+                return canvas;
+            },
+            release: () => {}
+        };
+    }
+}
+
+// Export
+window.Lettering = Lettering;
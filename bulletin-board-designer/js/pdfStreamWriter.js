@@ -0,0 +1,588 @@
+/**
+ * PDF Stream Writer
+ * Writes a PDF one page at a time into Blob parts, so a large export never has to
+ * exist as one string or array buffer in memory
+ *
+ * Drawing follows the part of the jsPDF API the exporter uses (millimetres, origin at
+ * the top left, Helvetica text, JPEG images), plus addRasterImage for lossless tiles.
+ */
+
+// Points per millimetre
+const PDF_POINTS_PER_MM = 72 / 25.4;
+
+// Bézier handle length that approximates a quarter circle
+const PDF_CIRCLE_KAPPA = 0.5522847498;
+
+// jsPDF's default line width and line height
+const PDF_DEFAULT_LINE_WIDTH_MM = 0.200025;
+const PDF_LINE_HEIGHT_FACTOR = 1.15;
+
+// Largest page PDF viewers accept: 14400pt, 200 inches
+const PDF_MAX_PAGE_MM = 5080;
+
+// Helvetica advance widths (per 1000 units of font size) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Widths of the other characters the guides use; the rest of Latin-1 is close to 556
+const HELVETICA_EXTRA_WIDTHS = {
+    '×': 584, '°': 400, '½': 834, '¼': 834, '•': 350, '…': 1000,
+    '–': 556, '—': 1000, '‘': 222, '’': 222, '“': 333, '”': 333, '€': 556
+};
+
+// Counts the bytes a string takes in the file
+const PDF_TEXT_ENCODER = new TextEncoder();
+
+// Characters outside Latin-1 that WinAnsiEncoding has codes for
+const WIN_ANSI_CODES = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+    '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+class PdfStreamWriter {
+    /**
+     * Start a PDF with its first page
+     * @param {Object} options
+     * @param {string|Array<number>} options.format - Paper format id from Utils.PAPER_SIZES or [width, height] in mm
+     * @param {string} options.orientation - 'portrait' or 'landscape'
+     * @param {Object} options.info - Document info: { title, subject, dpi }
+     * @param {boolean} options.outputIntent - Tag the file with a PDF/X-style sRGB output intent
+     */
+    constructor({ format = 'a4', orientation = 'portrait', info = {}, outputIntent = false } = {}) {
+        this.info = info;
+        this.outputIntent = outputIntent;
+
+        this.blobs = [];
+        this.chunks = [];
+        this.position = 0;
+        this.offsets = [];
+        this.nextObjectId = 1;
+        this.pageIds = [];
+        this.page = null;
+        this.fontId = null;
+        this.imageCount = 0;
+
+        // The page tree is written last, but pages point at it
+        this.pagesId = this.allocateObject();
+
+        this.fontSize = 16;
+        this.textColor = '0 g';
+        this.drawColor = '0 G';
+        this.fillColor = '0 g';
+        this.lineWidth = PDF_DEFAULT_LINE_WIDTH_MM;
+
+        // jsPDF compatible page size lookup
+        this.internal = {
+            pageSize: {
+                getWidth: () => this.page.widthMm,
+                getHeight: () => this.page.heightMm
+            }
+        };
+
+        // The binary comment tells file transfer tools the file is not text
+        this.write('%PDF-1.4\n');
+        this.write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+
+        this.addPage(format, orientation);
+    }
+
+    /**
+     * Deflate bytes for a FlateDecode stream
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Uint8Array|null>} null when the browser has no CompressionStream
+     */
+    static async deflate(bytes) {
+        if (typeof CompressionStream === 'undefined') {
+            return null;
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Read the pixel size and colour components of a JPEG from its frame header
+     * @param {Uint8Array} bytes
+     * @returns {Object} { width, height, components }
+     */
+    static readJpegInfo(bytes) {
+        let offset = 2;
+        while (offset < bytes.length) {
+            if (bytes[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            // SOF markers, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return {
+                    height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                    width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                    components: bytes[offset + 9]
+                };
+            }
+            offset += 2 + length;
+        }
+        throw new Error('Not a JPEG image');
+    }
+
+    /**
+     * Decode a base64 data URL into bytes
+     * @param {string} dataUrl
+     * @returns {Uint8Array}
+     */
+    static dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Append a string or bytes to the file
+     * @param {string|Uint8Array} data - Strings should be ASCII; anything else is written as UTF-8
+     */
+    write(data) {
+        this.chunks.push(data);
+        this.position += this.getByteLength(data);
+    }
+
+    /**
+     * Bytes the data takes in the file; Blob writes strings as UTF-8
+     */
+    getByteLength(data) {
+        return typeof data === 'string' ? PDF_TEXT_ENCODER.encode(data).length : data.length;
+    }
+
+    /**
+     * Reserve an object number to be written later
+     */
+    allocateObject() {
+        return this.nextObjectId++;
+    }
+
+    /**
+     * Write a complete object
+     * @param {number} id - From allocateObject
+     * @param {string} body - The object's dictionary or value
+     */
+    writeObject(id, body) {
+        this.offsets[id] = this.position;
+        this.write(`${id} 0 obj\n${body}\nendobj\n`);
+    }
+
+    /**
+     * Write a stream object
+     * @param {number} id - From allocateObject
+     * @param {string} dictionary - Stream dictionary entries, without /Length
+     * @param {string|Uint8Array} data
+     */
+    writeStream(id, dictionary, data) {
+        this.offsets[id] = this.position;
+        this.write(`${id} 0 obj\n<< ${dictionary ? `${dictionary} ` : ''}/Length ${this.getByteLength(data)} >>\nstream\n`);
+        this.write(data);
+        this.write('\nendstream\nendobj\n');
+    }
+
+    /**
+     * Finish the current page and start a new one
+     * @param {string|Array<number>} format - Paper format id or [width, height] in mm
+     * @param {string} orientation - 'portrait' or 'landscape'
+     */
+    addPage(format = 'a4', orientation = 'portrait') {
+        this.endPage();
+
+        let [widthMm, heightMm] = Array.isArray(format) ? format : this.getFormatSize(format);
+        if ((orientation === 'landscape') !== (widthMm > heightMm)) {
+            [widthMm, heightMm] = [heightMm, widthMm];
+        }
+        if (Math.max(widthMm, heightMm) > PDF_MAX_PAGE_MM) {
+            throw new Error(`A PDF page can be at most ${PDF_MAX_PAGE_MM / 1000} m on a side`);
+        }
+
+        this.page = { widthMm, heightMm, content: [], images: [], trimBox: null, bleedBox: null };
+        return this;
+    }
+
+    /**
+     * Mark where the current page is trimmed and how far its artwork bleeds past that
+     * @param {Object} trimBox - { x, y, width, height } in mm from the top left
+     * @param {Object} bleedBox - Same, defaults to the whole page
+     */
+    setPageBoxes(trimBox, bleedBox = null) {
+        this.page.trimBox = trimBox;
+        this.page.bleedBox = bleedBox;
+        return this;
+    }
+
+    /**
+     * A page box in PDF points: [left bottom right top]
+     */
+    formatBox({ x, y, width, height }) {
+        return `[${this.toPoints(x, y + height)} ${this.toPoints(x + width, y)}]`;
+    }
+
+    /**
+     * Size of a named paper format in mm
+     */
+    getFormatSize(format) {
+        const paper = Object.values(Utils.PAPER_SIZES).find(size => size.jsPdfFormat === format);
+        if (!paper) {
+            throw new Error(`Unknown paper format: ${format}`);
+        }
+        return [paper.widthMm, paper.heightMm];
+    }
+
+    /**
+     * Write out the current page and let go of its parts
+     */
+    endPage() {
+        if (!this.page) return;
+
+        const { widthMm, heightMm, content, images, trimBox, bleedBox } = this.page;
+        const mediaBox = this.formatBox({ x: 0, y: 0, width: widthMm, height: heightMm });
+
+        // PDF/X needs a trim box on every page; without one the page is trimmed at its edge
+        let boxes = '';
+        if (trimBox) {
+            boxes = ` /BleedBox ${bleedBox ? this.formatBox(bleedBox) : mediaBox} /TrimBox ${this.formatBox(trimBox)}`;
+        } else if (this.outputIntent) {
+            boxes = ` /TrimBox ${mediaBox}`;
+        }
+
+        const contentId = this.allocateObject();
+        this.writeStream(contentId, '', content.join('\n'));
+
+        const resources = ['/ProcSet [/PDF /Text /ImageB /ImageC]'];
+        if (this.fontId) {
+            resources.push(`/Font << /F1 ${this.fontId} 0 R >>`);
+        }
+        if (images.length) {
+            resources.push(`/XObject << ${images.map(image => `/${image.name} ${image.id} 0 R`).join(' ')} >>`);
+        }
+
+        const pageId = this.allocateObject();
+        this.writeObject(pageId, `<< /Type /Page /Parent ${this.pagesId} 0 R /MediaBox ${mediaBox}${boxes}` +
+            ` /Resources << ${resources.join(' ')} >> /Contents ${contentId} 0 R >>`);
+        this.pageIds.push(pageId);
+
+        // Page images are already in the chunks; fold them into a Blob so the browser can move them out of the heap
+        this.blobs.push(new Blob(this.chunks));
+        this.chunks = [];
+        this.page = null;
+    }
+
+    /**
+     * Write the document catalog, page tree and cross-reference table
+     * @returns {Blob} The finished PDF
+     */
+    finish() {
+        this.endPage();
+
+        if (this.fontId) {
+            this.writeObject(this.fontId,
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        }
+
+        this.writeObject(this.pagesId,
+            `<< /Type /Pages /Kids [${this.pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pageIds.length} >>`);
+
+        const infoId = this.allocateObject();
+        this.writeObject(infoId, this.createInfoDictionary());
+
+        let outputIntents = '';
+        if (this.outputIntent) {
+            const intentId = this.allocateObject();
+            this.writeObject(intentId, '<< /Type /OutputIntent /S /GTS_PDFX ' +
+                '/OutputConditionIdentifier (sRGB IEC61966-2.1) /RegistryName (http://www.color.org) ' +
+                '/Info (sRGB IEC61966-2.1) >>');
+            outputIntents = ` /OutputIntents [${intentId} 0 R]`;
+        }
+
+        const catalogId = this.allocateObject();
+        this.writeObject(catalogId, `<< /Type /Catalog /Pages ${this.pagesId} 0 R${outputIntents} >>`);
+
+        // Every cross-reference entry is exactly 20 bytes
+        const xrefOffset = this.position;
+        const entries = ['0000000000 65535 f \n'];
+        for (let id = 1; id < this.nextObjectId; id++) {
+            entries.push(`${String(this.offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        this.write(`xref\n0 ${this.nextObjectId}\n${entries.join('')}`);
+        this.write(`trailer\n<< /Size ${this.nextObjectId} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`);
+        this.write(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+        const pdf = new Blob([...this.blobs, ...this.chunks], { type: 'application/pdf' });
+        this.blobs = [];
+        this.chunks = [];
+
+        // Every offset in the cross-reference table depends on this
+        if (pdf.size !== this.position) {
+            throw new Error(`PDF size mismatch: wrote ${pdf.size} bytes, counted ${this.position}`);
+        }
+        return pdf;
+    }
+
+    /**
+     * Document info: title, subject and the resolution the pages were rendered at
+     */
+    createInfoDictionary() {
+        const { title, subject, dpi } = this.info;
+        const date = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+        const entries = [
+            `/Producer ${this.encodeString('RA Tools - Bulletin Board Designer')}`,
+            `/Creator ${this.encodeString('Bulletin Board Designer')}`,
+            `/CreationDate (D:${date}Z)`
+        ];
+        if (title) entries.push(`/Title ${this.encodeString(title)}`);
+        if (subject) entries.push(`/Subject ${this.encodeString(subject)}`);
+        if (dpi) entries.push(`/PrintResolution ${Math.round(dpi)}`);
+        if (this.outputIntent) entries.push('/Trapped /False');
+        return `<< ${entries.join(' ')} >>`;
+    }
+
+    /**
+     * PDF numbers: at most three decimals and no exponent
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+
+    /**
+     * Turn jsPDF style colour arguments - (gray) or (r, g, b), 0-255 - into PDF colour operands
+     */
+    formatColor(args) {
+        const [r, g, b] = args;
+        if (g === undefined) {
+            return `${this.formatNumber(r / 255)}`;
+        }
+        return [r, g, b].map(value => this.formatNumber(value / 255)).join(' ');
+    }
+
+    setFontSize(size) {
+        this.fontSize = size;
+        return this;
+    }
+
+    setTextColor(...args) {
+        this.textColor = `${this.formatColor(args)} ${args.length === 1 ? 'g' : 'rg'}`;
+        return this;
+    }
+
+    setDrawColor(...args) {
+        this.drawColor = `${this.formatColor(args)} ${args.length === 1 ? 'G' : 'RG'}`;
+        return this;
+    }
+
+    setFillColor(...args) {
+        this.fillColor = `${this.formatColor(args)} ${args.length === 1 ? 'g' : 'rg'}`;
+        return this;
+    }
+
+    /**
+     * @param {number} width - Line width in mm
+     */
+    setLineWidth(width) {
+        this.lineWidth = width;
+        return this;
+    }
+
+    /**
+     * Convert a point on the page from mm, top-left origin, to PDF points
+     */
+    toPoints(x, y) {
+        return `${this.formatNumber(x * PDF_POINTS_PER_MM)} ${this.formatNumber((this.page.heightMm - y) * PDF_POINTS_PER_MM)}`;
+    }
+
+    /**
+     * Operator for jsPDF's rect and circle styles
+     */
+    getPaintOperator(style) {
+        if (style === 'F') return 'f';
+        if (style === 'FD' || style === 'DF') return 'B';
+        return 'S';
+    }
+
+    /**
+     * Colour and line width operators a shape needs
+     */
+    getShapeState() {
+        return `${this.drawColor} ${this.fillColor} ${this.formatNumber(this.lineWidth * PDF_POINTS_PER_MM)} w`;
+    }
+
+    /**
+     * Width of a line of text at the current font size, in mm
+     * @param {string} text
+     */
+    getTextWidth(text) {
+        let units = 0;
+        for (const character of text) {
+            const code = character.charCodeAt(0);
+            if (code >= 32 && code <= 126) {
+                units += HELVETICA_WIDTHS[code - 32];
+            } else {
+                units += HELVETICA_EXTRA_WIDTHS[character] || 556;
+            }
+        }
+        return units / 1000 * this.fontSize / PDF_POINTS_PER_MM;
+    }
+
+    /**
+     * Encode text as a WinAnsi PDF string; characters it cannot show become '?'
+     */
+    encodeString(text) {
+        let encoded = '';
+        for (const character of text) {
+            let code = character.charCodeAt(0);
+            if (WIN_ANSI_CODES[character]) {
+                code = WIN_ANSI_CODES[character];
+            } else if (character.length > 1 || code > 255 || (code >= 0x80 && code < 0xA0)) {
+                code = 63;
+            }
+
+            // Only single-byte ASCII reaches the file, so the string is as long as its bytes
+            if (code === 40 || code === 41 || code === 92) {
+                encoded += `\\${String.fromCharCode(code)}`;
+            } else if (code < 32 || code > 126) {
+                encoded += `\\${code.toString(8).padStart(3, '0')}`;
+            } else {
+                encoded += String.fromCharCode(code);
+            }
+        }
+        return `(${encoded})`;
+    }
+
+    /**
+     * Draw text with its baseline at y
+     * @param {string} text - Lines are split at newlines
+     * @param {number} x - mm
+     * @param {number} y - mm
+     * @param {Object} options - { align: 'left', 'center' or 'right' }
+     */
+    text(text, x, y, options = {}) {
+        if (!this.fontId) {
+            this.fontId = this.allocateObject();
+        }
+
+        const lineHeight = this.fontSize * PDF_LINE_HEIGHT_FACTOR / PDF_POINTS_PER_MM;
+        const operations = [`q ${this.textColor} BT /F1 ${this.formatNumber(this.fontSize)} Tf`];
+        String(text).split('\n').forEach((line, i) => {
+            let lineX = x;
+            if (options.align === 'center') {
+                lineX -= this.getTextWidth(line) / 2;
+            } else if (options.align === 'right') {
+                lineX -= this.getTextWidth(line);
+            }
+            operations.push(`1 0 0 1 ${this.toPoints(lineX, y + i * lineHeight)} Tm ${this.encodeString(line)} Tj`);
+        });
+        operations.push('ET Q');
+
+        this.page.content.push(operations.join(' '));
+        return this;
+    }
+
+    /**
+     * Draw a straight line in the draw colour
+     */
+    line(x1, y1, x2, y2) {
+        this.page.content.push(`q ${this.getShapeState()} ${this.toPoints(x1, y1)} m ${this.toPoints(x2, y2)} l S Q`);
+        return this;
+    }
+
+    /**
+     * @param {string} style - 'S' outline, 'F' fill or 'FD' both
+     */
+    rect(x, y, width, height, style = 'S') {
+        const w = this.formatNumber(width * PDF_POINTS_PER_MM);
+        const h = this.formatNumber(height * PDF_POINTS_PER_MM);
+        this.page.content.push(`q ${this.getShapeState()} ${this.toPoints(x, y + height)} ${w} ${h} re ${this.getPaintOperator(style)} Q`);
+        return this;
+    }
+
+    /**
+     * @param {string} style - 'S' outline, 'F' fill or 'FD' both
+     */
+    circle(x, y, radius, style = 'S') {
+        const k = radius * PDF_CIRCLE_KAPPA;
+        const curve = (x1, y1, x2, y2, x3, y3) =>
+            `${this.toPoints(x1, y1)} ${this.toPoints(x2, y2)} ${this.toPoints(x3, y3)} c`;
+
+        this.page.content.push([
+            `q ${this.getShapeState()}`,
+            `${this.toPoints(x + radius, y)} m`,
+            curve(x + radius, y + k, x + k, y + radius, x, y + radius),
+            curve(x - k, y + radius, x - radius, y + k, x - radius, y),
+            curve(x - radius, y - k, x - k, y - radius, x, y - radius),
+            curve(x + k, y - radius, x + radius, y - k, x + radius, y),
+            `h ${this.getPaintOperator(style)} Q`
+        ].join(' '));
+        return this;
+    }
+
+    /**
+     * Pixel size of a JPEG data URL
+     * @param {string} dataUrl
+     * @returns {Object} { width, height }
+     */
+    getImageProperties(dataUrl) {
+        const { width, height } = PdfStreamWriter.readJpegInfo(PdfStreamWriter.dataUrlToBytes(dataUrl));
+        return { width, height };
+    }
+
+    /**
+     * Draw a JPEG data URL
+     * @param {string} dataUrl
+     * @param {string} format - Only 'JPEG' is supported
+     */
+    addImage(dataUrl, format, x, y, width, height) {
+        if (format !== 'JPEG') {
+            throw new Error(`Unsupported image format: ${format}`);
+        }
+        const data = PdfStreamWriter.dataUrlToBytes(dataUrl);
+        const info = PdfStreamWriter.readJpegInfo(data);
+
+        return this.addRasterImage({
+            data,
+            width: info.width,
+            height: info.height,
+            colorSpace: info.components === 1 ? 'DeviceGray' : 'DeviceRGB',
+            filter: 'DCTDecode'
+        }, x, y, width, height);
+    }
+
+    /**
+     * Draw encoded pixels; the image is written to the file straight away
+     * @param {Object} image - { data, width, height, colorSpace = 'DeviceRGB', filter }
+     *   where filter is 'DCTDecode' for JPEG bytes, 'FlateDecode' for deflated samples
+     *   or null for raw 8-bit samples
+     * @param {number} x - mm
+     * @param {number} y - mm
+     * @param {number} width - mm
+     * @param {number} height - mm
+     */
+    addRasterImage(image, x, y, width, height) {
+        const { data, colorSpace = 'DeviceRGB', filter = null } = image;
+        const id = this.allocateObject();
+        const name = `Im${++this.imageCount}`;
+
+        this.writeStream(id, `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+            `/ColorSpace /${colorSpace} /BitsPerComponent 8${filter ? ` /Filter /${filter}` : ''}`, data);
+        this.page.images.push({ id, name });
+
+        const w = this.formatNumber(width * PDF_POINTS_PER_MM);
+        const h = this.formatNumber(height * PDF_POINTS_PER_MM);
+        this.page.content.push(`q ${w} 0 0 ${h} ${this.toPoints(x, y + height)} cm /${name} Do Q`);
+        return this;
+    }
+}
+
+// Export
+window.PdfStreamWriter = PdfStreamWriter;
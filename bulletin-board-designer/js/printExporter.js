@@ -3,11 +3,30 @@
  * Handles export functionality for tiles - ZIP, PDF, and individual images
  */
 
+// PDF settings used when the caller passes none
+const PDF_EXPORT_DEFAULTS = {
+    imageFormat: 'jpeg',
+    jpegQuality: 92,
+    outputIntent: false,
+    bleedMm: 3
+};
+
+// Picture of the finished board that the ZIP's guides show
+const GUIDE_OVERVIEW_FILENAME = 'board-overview.jpg';
+
+// Longest side of the page pictures in the PDF booklet's row-by-row sheets
+const GUIDE_THUMBNAIL_SIZE = 360;
+
+// Most pixels rendered at once for the full-size poster; the board is drawn in bands this big
+const POSTER_BAND_PIXELS = 8 * 1024 * 1024;
+
 class PrintExporter {
     constructor() {
         this.tiles = [];
         this.config = null;
         this.originalImageDataUrl = null;
+        this.tileRenderer = null;
+        this.boardRenderer = null;
     }
 
     /**
@@ -15,18 +34,64 @@ class PrintExporter {
      * @param {Array} tiles - Array of tile objects with canvas property
      * @param {Object} config - Grid configuration
      * @param {string} originalImageDataUrl - Data URL of original image for assembly guide
+     * @param {function} tileRenderer - Renders a tile's canvas on demand for tiles without one;
+     *   called as tileRenderer(tile, signal)
+     * @param {function} boardRenderer - Renders any region of the board at print size, for the
+     *   full-size poster; called as boardRenderer(region, signal). Only image boards have one.
      */
-    setTiles(tiles, config, originalImageDataUrl = null) {
+    setTiles(tiles, config, originalImageDataUrl = null, tileRenderer = null, boardRenderer = null) {
         this.tiles = tiles;
         this.config = config;
         this.originalImageDataUrl = originalImageDataUrl;
+        this.tileRenderer = tileRenderer;
+        this.boardRenderer = boardRenderer;
+    }
+
+    /**
+     * Get a tile's full-resolution canvas, rendering it if the tile was streamed
+     * @param {Object} tile
+     * @param {AbortSignal} signal - Optional signal that cancels rendering
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async getTileCanvas(tile, signal = null) {
+        if (tile.canvas) return tile.canvas;
+        if (!this.tileRenderer) {
+            throw new Error('Tile has not been rendered');
+        }
+        return this.tileRenderer(tile, signal);
+    }
+
+    /**
+     * Free a canvas from getTileCanvas once it is no longer needed
+     */
+    releaseTileCanvas(tile, canvas) {
+        if (canvas !== tile.canvas) {
+            Utils.releaseCanvas(canvas);
+        }
     }
 
     /**
      * Export all tiles as a ZIP file
      * @param {function} progressCallback - Progress callback (0-100)
+     * @param {AbortSignal} signal - Optional signal that cancels the export before anything is downloaded
+     */
+    async exportAsZip(progressCallback = null, signal = null) {
+        const zip = await this.createZip(progressCallback, signal, 'blob');
+        
+        // An object URL, like the PDFs: the archive is never copied into one base64 string
+        Utils.downloadLargeBlob(zip, `${this.getExportName()}-tiles.zip`);
+        
+        if (progressCallback) progressCallback(100);
+    }
+
+    /**
+     * Build the ZIP of all tiles and the assembly guide
+     * @param {function} progressCallback - Progress callback (0-95)
+     * @param {AbortSignal} signal - Optional signal that cancels the build
+     * @param {string} type - JSZip output type; 'nodebuffer' when running under Node
+     * @returns {Promise<Blob|Buffer>}
      */
-    async exportAsZip(progressCallback = null) {
+    async createZip(progressCallback = null, signal = null, type = 'blob') {
         if (!this.tiles.length) {
             throw new Error('No tiles to export');
         }
@@ -35,14 +100,17 @@ class PrintExporter {
         const folder = zip.folder('bulletin-board-tiles');
         
         // Add assembly guide
-        folder.file('assembly-guide.txt', this.generateAssemblyGuide());
+        this.getGuideFiles().forEach(({ name, content, options }) => folder.file(name, content, options));
         
         // Add each tile
         for (let i = 0; i < this.tiles.length; i++) {
+            Utils.throwIfAborted(signal);
+
             const tile = this.tiles[i];
-            const blob = await Utils.canvasToBlob(tile.canvas, 'image/png');
-            const filename = `tile-${String(tile.row + 1).padStart(2, '0')}-${String(tile.col + 1).padStart(2, '0')}.png`;
-            folder.file(filename, blob);
+            const canvas = await this.getTileCanvas(tile, signal);
+            const blob = await Utils.canvasToBlob(canvas, 'image/png');
+            this.releaseTileCanvas(tile, canvas);
+            folder.file(this.getTileFilename(tile, 'png'), blob);
             
             if (progressCallback) {
                 progressCallback(Math.round(((i + 1) / this.tiles.length) * 80));
@@ -51,62 +119,82 @@ class PrintExporter {
         
         if (progressCallback) progressCallback(85);
         
-        // Generate ZIP file as base64
         const content = await zip.generateAsync({ 
-            type: 'base64',
+            type,
             compression: 'DEFLATE',
             compressionOptions: { level: 6 }
         }, (metadata) => {
             if (progressCallback) {
-                progressCallback(85 + Math.round(metadata.percent * 0.15));
+                progressCallback(85 + Math.round(metadata.percent * 0.1));
             }
         });
+        Utils.throwIfAborted(signal);
+
+        return content;
+    }
+
+    /**
+     * Export all tiles as a multi-page PDF
+     * @param {function} progressCallback - Progress callback (0-100)
+     * @param {AbortSignal} signal - Optional signal that cancels the export before anything is downloaded
+     * @param {Object} options - PDF settings, see createPdf
+     */
+    async exportAsPdf(progressCallback = null, signal = null, options = {}) {
+        const pdf = await this.createPdf(progressCallback, signal, options);
         
-        // Download using data URL for file:// protocol compatibility
-        const filename = `bulletin-board-${this.config.cols}x${this.config.rows}-tiles.zip`;
-        const dataUrl = 'data:application/zip;base64,' + content;
-        Utils.forceDownload(dataUrl, filename);
+        Utils.downloadLargeBlob(pdf, `${this.getExportName()}-pages.pdf`);
         
         if (progressCallback) progressCallback(100);
     }
 
     /**
-     * Export all tiles as a multi-page PDF
-     * @param {function} progressCallback - Progress callback (0-100)
+     * Build the PDF of all tiles with the assembly guide as its last page
+     * @param {function} progressCallback - Progress callback (0-95)
+     * @param {AbortSignal} signal - Optional signal that cancels the build
+     * @param {Object} options - { imageFormat: 'jpeg' or 'png', jpegQuality: 1-100, outputIntent }
+     * @returns {Promise<Blob>}
      */
-    async exportAsPdf(progressCallback = null) {
+    async createPdf(progressCallback = null, signal = null, options = {}) {
         if (!this.tiles.length) {
             throw new Error('No tiles to export');
         }
 
-        const { jsPDF } = window.jspdf;
+        const settings = { ...PDF_EXPORT_DEFAULTS, ...options };
         
-        // Determine PDF orientation based on first tile (all should be same)
-        const firstTile = this.tiles[0];
-        const isLandscape = firstTile.canvas.width > firstTile.canvas.height;
+        // All pages share the grid's page size and orientation
+        const isLandscape = this.config.pageWidthPx > this.config.pageHeightPx;
         const orientation = isLandscape ? 'landscape' : 'portrait';
+        const format = this.config.paper.jsPdfFormat;
         
-        const pdf = new jsPDF({
-            orientation: orientation,
-            unit: 'mm',
-            format: 'a4'
+        const pdf = new PdfStreamWriter({
+            format,
+            orientation,
+            outputIntent: settings.outputIntent,
+            info: {
+                title: this.getExportName(),
+                subject: `${this.config.totalPages} pages at ${this.config.dpi} DPI`,
+                dpi: this.config.dpi
+            }
         });
 
         const pageWidth = pdf.internal.pageSize.getWidth();
         const pageHeight = pdf.internal.pageSize.getHeight();
 
         for (let i = 0; i < this.tiles.length; i++) {
+            Utils.throwIfAborted(signal);
+
             const tile = this.tiles[i];
             
             if (i > 0) {
-                pdf.addPage('a4', orientation);
+                pdf.addPage(format, orientation);
             }
             
-            // Convert canvas to data URL
-            const dataUrl = tile.canvas.toDataURL('image/jpeg', 0.92);
+            const canvas = await this.getTileCanvas(tile, signal);
+            const image = await this.encodePdfImage(canvas, settings);
+            this.releaseTileCanvas(tile, canvas);
             
             // Add image to fill the page - no page numbers for clean prints
-            pdf.addImage(dataUrl, 'JPEG', 0, 0, pageWidth, pageHeight);
+            pdf.addRasterImage(image, 0, 0, pageWidth, pageHeight);
             
             if (progressCallback) {
                 progressCallback(Math.round(((i + 1) / this.tiles.length) * 90));
@@ -116,25 +204,174 @@ class PrintExporter {
         }
         
         // Add assembly guide as last page with original image reference
-        pdf.addPage('a4', 'portrait');
+        pdf.addPage(format, 'portrait');
         this.addAssemblyGuidePage(pdf, this.originalImageDataUrl);
         
         if (progressCallback) progressCallback(95);
-        
-        // Save PDF using data URL for file:// protocol compatibility
-        const filename = `bulletin-board-${this.config.cols}x${this.config.rows}-pages.pdf`;
-        const pdfDataUrl = pdf.output('dataurlstring');
-        Utils.forceDownload(pdfDataUrl, filename);
-        
+        Utils.throwIfAborted(signal);
+
+        return pdf.finish();
+    }
+
+    /**
+     * Export the whole board as one full-size PDF page, for print shops with large-format printers
+     * @param {function} progressCallback - Progress callback (0-100)
+     * @param {AbortSignal} signal - Optional signal that cancels the export before anything is downloaded
+     * @param {Object} options - PDF settings, see createPosterPdf
+     */
+    async exportAsPosterPdf(progressCallback = null, signal = null, options = {}) {
+        const pdf = await this.createPosterPdf(progressCallback, signal, options);
+
+        Utils.downloadLargeBlob(pdf, `${this.getExportName()}-poster.pdf`);
+
         if (progressCallback) progressCallback(100);
     }
 
+    /**
+     * Build a single-page PDF at the true board size. The artwork runs bleedMm past the trim
+     * on every side by repeating the board's edge pixels, and the page carries matching
+     * trim and bleed boxes. The board is rendered in bands, so it never has to fit in one canvas.
+     * @param {function} progressCallback - Progress callback (0-95)
+     * @param {AbortSignal} signal - Optional signal that cancels the build
+     * @param {Object} options - { imageFormat, jpegQuality, outputIntent, bleedMm }
+     * @returns {Promise<Blob>}
+     */
+    async createPosterPdf(progressCallback = null, signal = null, options = {}) {
+        if (!this.boardRenderer) {
+            throw new Error('Only image boards can be exported as one page');
+        }
+
+        const settings = { ...PDF_EXPORT_DEFAULTS, ...options };
+        const { targetWidthPx, targetHeightPx, dpi } = this.config;
+        const bleedPx = Utils.mmToPixels(settings.bleedMm, dpi);
+        const pageWidthPx = targetWidthPx + bleedPx * 2;
+        const pageHeightPx = targetHeightPx + bleedPx * 2;
+
+        // Page size follows the pixels exactly, so every pixel prints at the chosen DPI
+        const toMm = (px) => Utils.pixelsToMm(px, dpi);
+        const pageWidthMm = toMm(pageWidthPx);
+        const pageHeightMm = toMm(pageHeightPx);
+        const boardWidthCm = Math.round(toMm(targetWidthPx) / 10);
+        const boardHeightCm = Math.round(toMm(targetHeightPx) / 10);
+
+        const pdf = new PdfStreamWriter({
+            format: [pageWidthMm, pageHeightMm],
+            orientation: pageWidthMm > pageHeightMm ? 'landscape' : 'portrait',
+            outputIntent: settings.outputIntent,
+            info: {
+                title: `${this.getExportName()}-poster`,
+                subject: `${boardWidthCm} × ${boardHeightCm} cm poster at ${dpi} DPI with ${toMm(bleedPx).toFixed(1)}mm bleed`,
+                dpi
+            }
+        });
+        pdf.setPageBoxes({
+            x: toMm(bleedPx),
+            y: toMm(bleedPx),
+            width: toMm(targetWidthPx),
+            height: toMm(targetHeightPx)
+        });
+
+        const bandRows = Math.max(1, Math.floor(POSTER_BAND_PIXELS / pageWidthPx));
+        for (let boardY = 0; boardY < targetHeightPx; boardY += bandRows) {
+            Utils.throwIfAborted(signal);
+
+            // The first and last bands also carry the top and bottom bleed
+            const rows = Math.min(bandRows, targetHeightPx - boardY);
+            const bleedTop = boardY === 0 ? bleedPx : 0;
+            const bleedBottom = boardY + rows === targetHeightPx ? bleedPx : 0;
+
+            const region = await this.boardRenderer({ x: 0, y: boardY, width: targetWidthPx, height: rows }, signal);
+            const band = this.createBleedBand(region, bleedPx, bleedTop, bleedBottom);
+            Utils.releaseCanvas(region);
+
+            const image = await this.encodePdfImage(band, settings);
+            Utils.releaseCanvas(band);
+
+            const pageY = boardY + bleedPx - bleedTop;
+            pdf.addRasterImage(image, 0, toMm(pageY), pageWidthMm, toMm(rows + bleedTop + bleedBottom));
+
+            if (progressCallback) {
+                progressCallback(Math.round(((boardY + rows) / targetHeightPx) * 90));
+            }
+
+            await Utils.sleep(0);
+        }
+
+        if (progressCallback) progressCallback(95);
+        Utils.throwIfAborted(signal);
+
+        return pdf.finish();
+    }
+
+    /**
+     * Put a band of the board on a canvas wide enough for the side bleed, and stretch its
+     * outermost pixels out into the bleed
+     * @param {HTMLCanvasElement} region - Rows of the board at print size
+     * @param {number} bleedPx - Bleed on the left and right
+     * @param {number} bleedTop - Bleed rows above the band, for the first band
+     * @param {number} bleedBottom - Bleed rows below the band, for the last band
+     * @returns {HTMLCanvasElement}
+     */
+    createBleedBand(region, bleedPx, bleedTop, bleedBottom) {
+        const canvas = document.createElement('canvas');
+        canvas.width = region.width + bleedPx * 2;
+        canvas.height = region.height + bleedTop + bleedBottom;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+
+        ctx.drawImage(region, bleedPx, bleedTop);
+
+        if (bleedPx > 0) {
+            ctx.drawImage(region, 0, 0, 1, region.height, 0, bleedTop, bleedPx, region.height);
+            ctx.drawImage(region, region.width - 1, 0, 1, region.height, bleedPx + region.width, bleedTop, bleedPx, region.height);
+        }
+        // Corners come along from the side bleed just drawn
+        if (bleedTop > 0) {
+            ctx.drawImage(canvas, 0, bleedTop, canvas.width, 1, 0, 0, canvas.width, bleedTop);
+        }
+        if (bleedBottom > 0) {
+            const lastRow = bleedTop + region.height - 1;
+            ctx.drawImage(canvas, 0, lastRow, canvas.width, 1, 0, lastRow + 1, canvas.width, bleedBottom);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Encode a tile or poster band for the PDF: JPEG bytes, or its RGB samples deflated for lossless pages
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} settings - { imageFormat, jpegQuality }
+     * @returns {Promise<Object>} Image for PdfStreamWriter.addRasterImage
+     */
+    async encodePdfImage(canvas, { imageFormat, jpegQuality }) {
+        const { width, height } = canvas;
+
+        if (imageFormat === 'png') {
+            const rgba = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+            const rgb = new Uint8Array(width * height * 3);
+            for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+                rgb[j] = rgba[i];
+                rgb[j + 1] = rgba[i + 1];
+                rgb[j + 2] = rgba[i + 2];
+            }
+            // Without CompressionStream the samples go in uncompressed; still lossless, just larger
+            const deflated = await PdfStreamWriter.deflate(rgb);
+            return { data: deflated || rgb, width, height, filter: deflated ? 'FlateDecode' : null };
+        }
+
+        const blob = await Utils.canvasToBlob(canvas, 'image/jpeg', jpegQuality / 100);
+        const data = new Uint8Array(await new Response(blob).arrayBuffer());
+        return { data, width, height, filter: 'DCTDecode' };
+    }
+
     /**
      * Export a single tile
      * @param {number} index - Tile index
      * @param {string} format - 'png' or 'jpeg'
+     * @param {function} progressCallback - Progress callback (0-100)
+     * @param {AbortSignal} signal - Optional signal that cancels the export before anything is downloaded
      */
-    async exportSingleTile(index, format = 'png') {
+    async exportSingleTile(index, format = 'png', progressCallback = null, signal = null) {
         const tile = this.tiles[index];
         if (!tile) {
             throw new Error('Tile not found');
@@ -143,63 +380,417 @@ class PrintExporter {
         const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
         const quality = format === 'png' ? 1 : 0.92;
         
-        const blob = await Utils.canvasToBlob(tile.canvas, mimeType, quality);
-        const filename = `tile-${String(tile.row + 1).padStart(2, '0')}-${String(tile.col + 1).padStart(2, '0')}.${format}`;
-        Utils.downloadBlob(blob, filename);
+        // Streamed tiles are upscaled again here, which takes most of the time
+        const canvas = await this.getTileCanvas(tile, signal);
+        let blob;
+        try {
+            if (progressCallback) progressCallback(80);
+            blob = await Utils.canvasToBlob(canvas, mimeType, quality);
+        } finally {
+            this.releaseTileCanvas(tile, canvas);
+        }
+        Utils.throwIfAborted(signal);
+
+        Utils.downloadBlob(blob, this.getTileFilename(tile, format));
+        if (progressCallback) progressCallback(100);
     }
 
     /**
-     * Generate assembly guide text
+     * File name of a tile; tiles may carry their own name (lettering pages do)
+     * @param {Object} tile
+     * @param {string} extension
+     */
+    getTileFilename(tile, extension) {
+        const name = tile.name ||
+            `tile-${String(tile.row + 1).padStart(2, '0')}-${String(tile.col + 1).padStart(2, '0')}`;
+        return `${name}.${extension}`;
+    }
+
+    /**
+     * Base name of exported files, without suffix or extension
+     */
+    getExportName() {
+        const { lettering, border } = this.config;
+        if (border) {
+            return `bulletin-board-border-${border.boardWidthCm}x${border.boardHeightCm}cm`;
+        }
+        if (lettering) {
+            const slug = lettering.text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+            return `lettering-${slug || 'letters'}`;
+        }
+        return `bulletin-board-${this.config.cols}x${this.config.rows}`;
+    }
+
+    /**
+     * Generate the assembly guide as text: Markdown for image boards, plain text for lettering and borders
      */
     generateAssemblyGuide() {
         if (!this.config) return '';
-        
-        const { cols, rows, totalPages } = this.config;
-        const overlapMm = this.config.overlapPx ? Utils.pixelsToMm(this.config.overlapPx, 300) : 0;
-        
-        let guide = `BULLETIN BOARD ASSEMBLY GUIDE
-=============================
+        if (this.config.lettering) return this.generateLetteringGuide();
+        if (this.config.border) return this.generateBorderGuide();
+        return this.generateMarkdownGuide();
+    }
 
-Grid Layout: ${cols} columns × ${rows} rows = ${totalPages} total pages
+    /**
+     * Guide files for the ZIP. Image boards get a Markdown and an HTML booklet that show the
+     * tile PNGs next to them; lettering and borders keep their plain text guide.
+     * @returns {Array<Object>} { name, content, options } for JSZip
+     */
+    getGuideFiles() {
+        if (this.config.lettering || this.config.border) {
+            return [{ name: 'assembly-guide.txt', content: this.generateAssemblyGuide() }];
+        }
 
-`;
+        const files = [
+            { name: 'assembly-guide.md', content: this.generateMarkdownGuide() },
+            { name: 'assembly-guide.html', content: this.generateHtmlGuide() }
+        ];
+        if (this.originalImageDataUrl) {
+            files.push({
+                name: GUIDE_OVERVIEW_FILENAME,
+                content: this.originalImageDataUrl.slice(this.originalImageDataUrl.indexOf(',') + 1),
+                options: { base64: true }
+            });
+        }
+        return files;
+    }
 
-        if (overlapMm > 0) {
-            guide += `Overlap: ${Math.round(overlapMm)}mm on each shared edge
+    /**
+     * Everything the image board guides show, shared by the PDF booklet and the ZIP guides
+     * @returns {Object} { summary, boardWidthCm, boardHeightCm, materials, steps, rows }
+     */
+    getAssemblyPlan() {
+        const { cols, rows, totalPages, dpi, paper, orientation, margins, targetWidthPx, targetHeightPx } = this.config;
+        const overlapMm = Math.round(this.config.overlapMm || 0);
+        const boardWidthCm = Utils.pixelsToMm(targetWidthPx, dpi) / 10;
+        const boardHeightCm = Utils.pixelsToMm(targetHeightPx, dpi) / 10;
+        const hasMargins = Object.values(margins).some(value => value > 0);
 
-IMPORTANT: Each page has a ${Math.round(overlapMm)}mm overlap with adjacent pages.
-When assembling, align the overlap areas for a seamless result.
+        // One strip of tape along every seam between neighbouring pages
+        const joins = (cols - 1) * rows + (rows - 1) * cols;
+        const tapeMetres = ((cols - 1) * boardHeightCm + (rows - 1) * boardWidthCm) / 100;
 
-`;
+        const materials = [`${totalPages} ${totalPages === 1 ? 'sheet' : 'sheets'} of ${paper.label} paper`];
+        if (joins > 0) {
+            materials.push(`About ${(Math.ceil(tapeMetres * 10) / 10).toFixed(1)} m of double-sided tape, or a glue stick, for ${joins} joins`);
+            if (hasMargins) {
+                materials.push('Scissors or a craft knife, a ruler and a cutting mat');
+            }
         }
+        materials.push('Pins or staples to hang the board');
 
-        guide += `ASSEMBLY ORDER:
---------------
-Start from the top-left corner and work your way right, then down.
+        const steps = [`Print all pages at 100% scale (no "fit to page") on ${paper.label} paper`];
+        if (joins > 0) {
+            if (hasMargins) {
+                steps.push('Trim the white border off every edge marked to trim, along the crop marks');
+            }
+            steps.push('Start with page 1 at the top left and work right along each row, then down; ' +
+                'each page lies over the page to its left and the page above');
+            steps.push(overlapMm > 0
+                ? `Overlap neighbouring pages by ${overlapMm}mm` +
+                    (this.config.addCropMarks ? ' so their crosshair targets sit on top of each other' : '')
+                : 'Butt neighbouring pages edge to edge and tape them together from the back');
+            steps.push('Tape or glue every overlap on a flat surface before hanging the board');
+        }
 
-`;
+        return {
+            summary: `${cols} columns × ${rows} rows = ${totalPages} pages on ${paper.label} (${orientation})` +
+                (overlapMm > 0 ? `, ${overlapMm}mm overlap` : ''),
+            boardWidthCm,
+            boardHeightCm,
+            materials,
+            steps,
+            rows: Array.from({ length: rows }, (_, row) => ({
+                number: row + 1,
+                tiles: this.tiles.filter(tile => tile.row === row)
+            }))
+        };
+    }
+
+    /**
+     * Edges of a page that join another page, with the page they join and whether the
+     * white border has to be trimmed off first
+     * @returns {Array<Object>} { side, page, trim }
+     */
+    getTileEdges(tile) {
+        const { cols, rows, margins } = this.config;
+        const pageAt = (row, col) => row * cols + col + 1;
+
+        return [
+            { side: 'top', joins: tile.row > 0, page: pageAt(tile.row - 1, tile.col) },
+            { side: 'left', joins: tile.col > 0, page: pageAt(tile.row, tile.col - 1) },
+            { side: 'right', joins: tile.col < cols - 1, page: pageAt(tile.row, tile.col + 1) },
+            { side: 'bottom', joins: tile.row < rows - 1, page: pageAt(tile.row + 1, tile.col) }
+        ]
+            .filter(edge => edge.joins)
+            .map(({ side, page }) => ({ side, page, trim: margins[side] > 0 }));
+    }
 
+    /**
+     * What to do with one page's edges, such as
+     * "Trim top, right; over page 1 (top); under page 3 (right)"
+     */
+    describeTileJoins(tile) {
+        const edges = this.getTileEdges(tile);
+        if (!edges.length) return 'Nothing to join';
+
+        const list = (items) => items.map(edge => `page ${edge.page} (${edge.side})`).join(', ');
+        const trim = edges.filter(edge => edge.trim).map(edge => edge.side);
+        // Pages go down left to right, then top to bottom, so each lies over its left and top neighbours
+        const over = edges.filter(edge => edge.side === 'top' || edge.side === 'left');
+        const under = edges.filter(edge => edge.side === 'right' || edge.side === 'bottom');
+
+        const parts = [];
+        if (trim.length) parts.push(`trim ${trim.join(', ')}`);
+        if (over.length) parts.push(`over ${list(over)}`);
+        if (under.length) parts.push(`under ${list(under)}`);
+
+        const text = parts.join('; ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Part of the board a page prints, in board pixels; neighbouring pages share their overlap
+     */
+    getPageCoverage(row, col) {
+        const { effectiveWidthPx, effectiveHeightPx, contentWidthPx, contentHeightPx, targetWidthPx, targetHeightPx } = this.config;
+        const x = col * effectiveWidthPx;
+        const y = row * effectiveHeightPx;
+        return {
+            x,
+            y,
+            width: Math.max(0, Math.min(contentWidthPx, targetWidthPx - x)),
+            height: Math.max(0, Math.min(contentHeightPx, targetHeightPx - y))
+        };
+    }
+
+    /**
+     * Small JPEG of a page from the canvas or preview the splitter kept
+     * @returns {string|null} Data URL, or null when the tile has no picture
+     */
+    createTileThumbnail(tile, maxSize = GUIDE_THUMBNAIL_SIZE) {
+        const source = tile.canvas || tile.previewCanvas;
+        if (!source) return null;
+
+        const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(source.width * scale));
+        canvas.height = Math.max(1, Math.round(source.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
+        Utils.releaseCanvas(canvas);
+        return dataUrl;
+    }
+
+    /**
+     * Format a length in cm without trailing zeros, such as "90" or "42.5"
+     */
+    formatCm(value) {
+        return String(Math.round(value * 10) / 10);
+    }
+
+    /**
+     * Assembly guide for image boards in Markdown, with the tile PNGs of the ZIP as pictures
+     */
+    generateMarkdownGuide() {
+        const plan = this.getAssemblyPlan();
+        const { cols } = this.config;
+
+        const lines = [
+            '# Bulletin Board Assembly Guide',
+            '',
+            plan.summary,
+            ''
+        ];
+        if (this.originalImageDataUrl) {
+            lines.push(`![The finished board](${GUIDE_OVERVIEW_FILENAME})`, '');
+        }
+
+        lines.push(
+            '## Finished Board',
+            '',
+            `${this.formatCm(plan.boardWidthCm)} × ${this.formatCm(plan.boardHeightCm)} cm`,
+            '',
+            '## Materials',
+            '',
+            ...plan.materials.map(item => `- ${item}`),
+            '',
+            '## Steps',
+            '',
+            ...plan.steps.map((step, i) => `${i + 1}. ${step}`),
+            '',
+            '## Page Layout',
+            '',
+            '```',
+            ...plan.rows.map(({ number, tiles }) =>
+                `Row ${number}: ${tiles.map(tile => `[Page ${tile.index + 1}]`).join(' → ')}`),
+            '```',
+            '',
+            '## Row by Row',
+            '',
+            'Each page lies over the pages listed after "over" and under those listed after "under".',
+            ''
+        );
+
+        plan.rows.forEach(({ number, tiles }) => {
+            const pages = tiles.map(tile => `Page ${tile.index + 1}`);
+            lines.push(
+                `### Row ${number}: pages ${tiles[0].index + 1}-${tiles[tiles.length - 1].index + 1}`,
+                '',
+                `| ${pages.join(' | ')} |`,
+                `|${' --- |'.repeat(Math.min(cols, tiles.length))}`,
+                `| ${tiles.map(tile => `![Page ${tile.index + 1}](${this.getTileFilename(tile, 'png')})`).join(' | ')} |`,
+                `| ${tiles.map(tile => this.describeTileJoins(tile)).join(' | ')} |`,
+                ''
+            );
+        });
+
+        lines.push('Generated by RA Tools - Bulletin Board Designer', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Escape text for HTML
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Assembly guide for image boards as a page to open or print from the ZIP, with the
+     * board picture, the pages outlined on it and every tile PNG row by row
+     */
+    generateHtmlGuide() {
+        const plan = this.getAssemblyPlan();
+        const { cols, rows, targetWidthPx, targetHeightPx } = this.config;
+        const escape = (text) => this.escapeHtml(text);
+        const percent = (value, total) => `${(value / total * 100).toFixed(3)}%`;
+
+        const outlines = [];
         for (let row = 0; row < rows; row++) {
-            guide += `Row ${row + 1}: `;
             for (let col = 0; col < cols; col++) {
-                const pageNum = row * cols + col + 1;
-                guide += `[Page ${pageNum}]`;
-                if (col < cols - 1) guide += ' → ';
-            }
-            guide += '\n';
-            if (row < rows - 1) {
-                guide += '         ↓\n';
+                const page = this.getPageCoverage(row, col);
+                outlines.push(`<div class="page" style="left:${percent(page.x, targetWidthPx)};top:${percent(page.y, targetHeightPx)};` +
+                    `width:${percent(page.width, targetWidthPx)};height:${percent(page.height, targetHeightPx)}">` +
+                    `<span>${row * cols + col + 1}</span></div>`);
             }
         }
 
+        const overview = this.originalImageDataUrl
+            ? `<img src="${GUIDE_OVERVIEW_FILENAME}" alt="The finished board">`
+            : '';
+
+        const rowSections = plan.rows.map(({ number, tiles }) => `
+    <h3>Row ${number}: pages ${tiles[0].index + 1}-${tiles[tiles.length - 1].index + 1}</h3>
+    <div class="row">${tiles.map(tile => `
+        <figure>
+            <img src="${escape(this.getTileFilename(tile, 'png'))}" alt="Page ${tile.index + 1}">
+            <figcaption><strong>Page ${tile.index + 1}</strong><br>${escape(this.describeTileJoins(tile))}</figcaption>
+        </figure>`).join('')}
+    </div>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Bulletin Board Assembly Guide</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #222; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+    h1 { margin-bottom: 0.25rem; }
+    .summary { color: #555; margin-top: 0; }
+    .board { position: relative; border: 1px solid #999; aspect-ratio: ${targetWidthPx} / ${targetHeightPx}; background: #f2f2f2; }
+    .board img { position: absolute; inset: 0; width: 100%; height: 100%; }
+    .page { position: absolute; box-sizing: border-box; border: 1px solid rgba(0, 0, 0, 0.7); display: flex; align-items: center; justify-content: center; }
+    .page span { background: #fff; border: 1px solid #000; border-radius: 50%; min-width: 1.8em; line-height: 1.8em; text-align: center; font-weight: 600; }
+    .row { display: grid; grid-template-columns: repeat(${cols}, minmax(0, 1fr)); gap: 0.75rem; }
+    figure { margin: 0; font-size: 0.8rem; }
+    figure img { width: 100%; border: 1px solid #ccc; }
+    footer { margin-top: 2rem; color: #888; font-size: 0.8rem; }
+    @media print { h3 { break-after: avoid; } .row { break-inside: avoid; } }
+</style>
+</head>
+<body>
+    <h1>Bulletin Board Assembly Guide</h1>
+    <p class="summary">${escape(plan.summary)}</p>
+    <div class="board">
+        ${overview}
+        ${outlines.join('\n        ')}
+    </div>
+
+    <h2>Finished Board</h2>
+    <p>${this.formatCm(plan.boardWidthCm)} × ${this.formatCm(plan.boardHeightCm)} cm</p>
+
+    <h2>Materials</h2>
+    <ul>
+${plan.materials.map(item => `        <li>${escape(item)}</li>`).join('\n')}
+    </ul>
+
+    <h2>Steps</h2>
+    <ol>
+${plan.steps.map(step => `        <li>${escape(step)}</li>`).join('\n')}
+    </ol>
+
+    <h2>Row by Row</h2>
+    <p>Each page lies over the pages listed after "over" and under those listed after "under".</p>
+${rowSections}
+
+    <footer>Generated by RA Tools - Bulletin Board Designer</footer>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Generate the guide text for lettering: which pages make up each letter
+     */
+    generateLetteringGuide() {
+        const { lettering, paper, orientation } = this.config;
+        const overlapMm = Math.round(this.config.overlapMm || 0);
+        const spanning = lettering.glyphs.some(glyph => glyph.totalPages > 1);
+
+        let guide = `LETTERING ASSEMBLY GUIDE
+========================
+
+Text: "${lettering.text}"
+Letters: ${lettering.glyphs.length}, ${lettering.heightCm}cm tall = ${this.config.totalPages} total pages
+Paper Size: ${paper.label} (${orientation})
+
+PAGES:
+------
+`;
+
+        lettering.glyphs.forEach((glyph, i) => {
+            guide += `Letter ${i + 1} "${glyph.character}": ${this.describeGlyphPages(glyph)}\n`;
+        });
+
+        if (spanning) {
+            // Pages only carry crosshair targets when they overlap
+            const join = overlapMm > 0
+                ? `overlap the pages by ${overlapMm}mm so their crosshair targets\nline up`
+                : 'butt the pages edge to edge and tape them\nfrom the back';
+            guide += `
+Letters spread over several pages are laid out like a small grid, left to right,
+then down. Trim the white border along the crop marks on every edge that
+joins another page, then ${join} before cutting the letter out. Edge labels name the page each edge joins.
+`;
+        }
+
         guide += `
 TIPS:
 -----
-1. Print all pages at 100% scale (no "fit to page")
-2. Use a ruler and cutting mat for precise cuts
-3. Overlap pages by ${Math.round(overlapMm)}mm when joining
-4. Use double-sided tape or glue stick on the overlap areas
-5. Work on a flat surface for best results
+1. Print all pages at 100% scale (no "fit to page") on ${paper.label} paper
+2. ${lettering.cutLine ? 'Cut along the grey line around each letter' : 'Cut around the outline of each letter'}
+3. Lay the letters out in order on the floor before pinning them up
+4. Use a craft knife for the inside corners and holes of letters
 
 Generated by RA Tools - Bulletin Board Designer
 `;
@@ -208,108 +799,388 @@ Generated by RA Tools - Bulletin Board Designer
     }
 
     /**
-     * Add assembly guide page to PDF with original image and numbered grid
+     * Page range of one letter, such as "page 3" or "pages 4-7 (2 columns × 2 rows)"
+     */
+    describeGlyphPages(glyph) {
+        if (glyph.totalPages === 1) {
+            return `page ${glyph.firstPage}`;
+        }
+        const lastPage = glyph.firstPage + glyph.totalPages - 1;
+        return `pages ${glyph.firstPage}-${lastPage} (${glyph.cols} columns × ${glyph.rows} rows)`;
+    }
+
+    /**
+     * Add the lettering guide page to the PDF: all letters on their pages, and the page list
+     */
+    addLetteringGuidePage(pdf, guideImageDataUrl) {
+        const { lettering } = this.config;
+        const instructions = [
+            'Print all pages at 100% scale (no "fit to page")',
+            lettering.cutLine ? 'Cut along the grey line around each letter' : 'Cut around the outline of each letter'
+        ];
+        if (lettering.glyphs.some(glyph => glyph.totalPages > 1)) {
+            instructions.push(
+                this.config.overlapMm > 0
+                    ? `For letters over several pages, trim along the crop marks and overlap by ${Math.round(this.config.overlapMm)}mm, crosshairs on crosshairs`
+                    : 'For letters over several pages, trim along the crop marks and butt the pages edge to edge'
+            );
+        }
+
+        this.addPictureGuidePage(pdf, {
+            title: 'Lettering Guide',
+            subtitle: `"${lettering.text}" | ${lettering.glyphs.length} letters, ${lettering.heightCm}cm tall | ${this.config.totalPages} pages`,
+            imageDataUrl: guideImageDataUrl,
+            lines: lettering.glyphs.map((glyph, i) => `${i + 1}. "${glyph.character}": ${this.describeGlyphPages(glyph)}`),
+            instructions
+        });
+    }
+
+    /**
+     * Add a guide page made of a title, a picture fitted to the page width, a list that wraps
+     * into columns when it is long, and numbered instructions at the bottom
+     * @param {PdfStreamWriter} pdf
+     * @param {Object} guide - { title, subtitle, imageDataUrl, lines, instructions }
+     */
+    addPictureGuidePage(pdf, { title, subtitle, imageDataUrl, lines, instructions }) {
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const margin = 15;
+
+        // Title
+        pdf.setFontSize(16);
+        pdf.setTextColor(50, 50, 50);
+        pdf.text(title, pageWidth / 2, 15, { align: 'center' });
+
+        pdf.setFontSize(10);
+        pdf.setTextColor(80);
+        pdf.text(subtitle, pageWidth / 2, 23, { align: 'center' });
+
+        // Picture, fitted to the width of the page
+        let listY = 35;
+        if (imageDataUrl) {
+            const { width, height } = pdf.getImageProperties(imageDataUrl);
+            const scale = Math.min((pageWidth - margin * 2) / width, 90 / height);
+            const imageWidth = width * scale;
+            const imageHeight = height * scale;
+            pdf.addImage(imageDataUrl, 'JPEG', (pageWidth - imageWidth) / 2, 30, imageWidth, imageHeight);
+            listY = 30 + imageHeight + 10;
+        }
+
+        // List, wrapped into columns when it is long
+        const instructionsY = pageHeight - 35;
+        const lineHeight = 5;
+        const linesPerColumn = Math.max(1, Math.floor((instructionsY - 8 - listY) / lineHeight));
+        const columns = Math.ceil(lines.length / linesPerColumn);
+        const columnWidth = (pageWidth - margin * 2) / Math.max(columns, 1);
+
+        pdf.setFontSize(columns > 2 ? 7 : 9);
+        pdf.setTextColor(50, 50, 50);
+        lines.forEach((line, i) => {
+            const column = Math.floor(i / linesPerColumn);
+            pdf.text(line, margin + column * columnWidth, listY + (i % linesPerColumn) * lineHeight);
+        });
+
+        // Instructions at bottom
+        pdf.setFontSize(9);
+        pdf.setTextColor(60);
+        pdf.text('Instructions:', margin, instructionsY);
+        pdf.setFontSize(8);
+        instructions.forEach((instruction, i) => {
+            pdf.text(`${i + 1}. ${instruction}`, margin, instructionsY + 6 * (i + 1));
+        });
+    }
+
+    /**
+     * Generate the cutting guide for border strips: the length of every strip and piece
+     */
+    generateBorderGuide() {
+        const { border, paper, orientation } = this.config;
+
+        let guide = `BORDER CUTTING GUIDE
+====================
+
+Board: ${border.boardWidthCm} × ${border.boardHeightCm} cm
+Strip: ${border.pattern}, ${border.widthCm}cm wide
+Total strip length: ${(border.totalLengthCm / 100).toFixed(2)} m on ${this.config.totalPages} pages
+Paper Size: ${paper.label} (${orientation})
+
+STRIPS:
+-------
+`;
+
+        border.sides.forEach(side => {
+            guide += `${side.label}: ${side.lengthCm.toFixed(1)}cm in ${side.pieces.length} ${side.pieces.length === 1 ? 'piece' : 'pieces'}\n`;
+            side.pieces.forEach(piece => {
+                guide += `  ${piece.id.padEnd(4)}${this.describeBorderPiece(piece)}\n`;
+            });
+        });
+
+        guide += `
+ASSEMBLY:
+---------
+1. Print all pages at 100% scale (no "fit to page") on ${paper.label} paper
+2. Cut out each strip along the grey line; every strip is labelled with its piece name
+3. Join the pieces of each side in order (T1, T2, ...): glue the faded tab at the end
+   of each piece under the start of the next one, ${border.tabMm}mm deep
+4. Pin the top and bottom strips across the full width of the board, then fit the
+   left and right strips between them, decorative edge facing inwards
+
+Generated by RA Tools - Bulletin Board Designer
+`;
+
+        return guide;
+    }
+
+    /**
+     * One piece of a border side, such as "30.0cm + glue tab (page 2)"
+     */
+    describeBorderPiece(piece) {
+        return `${piece.lengthCm.toFixed(1)}cm${piece.hasTab ? ' + glue tab' : ''} (page ${piece.page})`;
+    }
+
+    /**
+     * Add the border cutting guide page to the PDF
+     */
+    addBorderGuidePage(pdf, guideImageDataUrl) {
+        const { border } = this.config;
+        const lines = [];
+        border.sides.forEach(side => {
+            lines.push(`${side.label}: ${side.lengthCm.toFixed(1)}cm`);
+            side.pieces.forEach(piece => lines.push(`    ${piece.id}: ${this.describeBorderPiece(piece)}`));
+        });
+
+        this.addPictureGuidePage(pdf, {
+            title: 'Border Cutting Guide',
+            subtitle: `${border.boardWidthCm} × ${border.boardHeightCm} cm board | ${border.pattern} strip, ${border.widthCm}cm wide | ${(border.totalLengthCm / 100).toFixed(2)} m`,
+            imageDataUrl: guideImageDataUrl,
+            lines,
+            instructions: [
+                'Print all pages at 100% scale (no "fit to page")',
+                'Cut out each strip along the grey line',
+                `Join the pieces of each side in order, gluing each faded ${border.tabMm}mm tab under the next piece`,
+                'Pin the top and bottom strips first, then fit the sides between them'
+            ]
+        });
+    }
+
+    /**
+     * Add the assembly guide to the PDF: one page for lettering and borders, and a booklet of
+     * a board overview plus row-by-row sheets for image boards
      */
     addAssemblyGuidePage(pdf, originalImageDataUrl) {
-        const { cols, rows, totalPages } = this.config;
-        const overlapMm = this.config.overlapPx ? Utils.pixelsToMm(this.config.overlapPx, 300) : 0;
-        
+        if (this.config.lettering) {
+            this.addLetteringGuidePage(pdf, originalImageDataUrl);
+            return;
+        }
+        if (this.config.border) {
+            this.addBorderGuidePage(pdf, originalImageDataUrl);
+            return;
+        }
+
+        const plan = this.getAssemblyPlan();
+        this.addBoardOverviewPage(pdf, originalImageDataUrl, plan);
+        this.addRowByRowPages(pdf, plan);
+    }
+
+    /**
+     * Add the first booklet page: the board at its true proportions with every page outlined
+     * and numbered on it, its finished size, the materials and the steps
+     * @param {PdfStreamWriter} pdf
+     * @param {string|null} originalImageDataUrl
+     * @param {Object} plan - From getAssemblyPlan()
+     */
+    addBoardOverviewPage(pdf, originalImageDataUrl, plan) {
+        const { cols, rows, targetWidthPx, targetHeightPx } = this.config;
         const pageWidth = pdf.internal.pageSize.getWidth();
         const pageHeight = pdf.internal.pageSize.getHeight();
-        
+        const margin = 15;
+        const lineHeight = 4.5;
+
         // Title
         pdf.setFontSize(16);
-        pdf.setTextColor(50, 50, 50);  
+        pdf.setTextColor(50, 50, 50);
         pdf.text('Assembly Guide', pageWidth / 2, 15, { align: 'center' });
-        
-        // Grid info
+
         pdf.setFontSize(10);
         pdf.setTextColor(80);
-        pdf.text(`${cols} columns × ${rows} rows = ${totalPages} pages | Overlap: ${Math.round(overlapMm)}mm`, pageWidth / 2, 23, { align: 'center' });
-        
-        // Calculate image area - make it as large as possible
-        const margin = 15;
-        const imageAreaWidth = pageWidth - (margin * 2);
-        const imageAreaHeight = pageHeight - 80; // Leave room for title and instructions
-        const imageStartY = 30;
-        
-        // If we have the original image, show it with grid overlay
+        pdf.text(plan.summary, pageWidth / 2, 23, { align: 'center' });
+
+        // Board, scaled to fit above the text without stretching
+        const textHeight = 22 + (plan.materials.length + plan.steps.length) * lineHeight;
+        const boardStartY = 30;
+        const scale = Math.min(
+            (pageWidth - margin * 2) / targetWidthPx,
+            (pageHeight - boardStartY - textHeight - 20) / targetHeightPx
+        );
+        const boardWidth = targetWidthPx * scale;
+        const boardHeight = targetHeightPx * scale;
+        const boardX = (pageWidth - boardWidth) / 2;
+
         if (originalImageDataUrl) {
-            // Draw the original image
-            pdf.addImage(originalImageDataUrl, 'JPEG', margin, imageStartY, imageAreaWidth, imageAreaHeight);
-            
-            // Draw grid overlay with page numbers
-            const cellWidth = imageAreaWidth / cols;
-            const cellHeight = imageAreaHeight / rows;
-            
-            pdf.setDrawColor(0, 0, 0);
-            pdf.setLineWidth(0.5);
-            
-            for (let row = 0; row < rows; row++) {
-                for (let col = 0; col < cols; col++) {
-                    const x = margin + col * cellWidth;
-                    const y = imageStartY + row * cellHeight;
-                    const pageNum = row * cols + col + 1;
-                    
-                    // Draw cell border
-                    pdf.rect(x, y, cellWidth, cellHeight, 'S');
-                    
-                    // Draw page number in a white circle
-                    const centerX = x + cellWidth / 2;
-                    const centerY = y + cellHeight / 2;
-                    const circleRadius = Math.min(cellWidth, cellHeight) * 0.15;
-                    
-                    // White circle background
-                    pdf.setFillColor(255, 255, 255);
-                    pdf.circle(centerX, centerY, circleRadius, 'F');
-                    
-                    // Black border
-                    pdf.setDrawColor(0, 0, 0);
-                    pdf.circle(centerX, centerY, circleRadius, 'S');
-                    
-                    // Page number
-                    pdf.setFontSize(Math.min(12, circleRadius * 1.5));
-                    pdf.setTextColor(0, 0, 0);
-                    pdf.text(String(pageNum), centerX, centerY + 1.5, { align: 'center' });
-                }
-            }
+            pdf.addImage(originalImageDataUrl, 'JPEG', boardX, boardStartY, boardWidth, boardHeight);
         } else {
-            // Fallback: Draw simple grid diagram without original image
-            const diagramWidth = Math.min(imageAreaWidth, 160);
-            const cellWidth = diagramWidth / cols;
-            const cellHeight = cellWidth * 0.7;
-            const diagramHeight = cellHeight * rows;
-            const startX = (pageWidth - diagramWidth) / 2;
-            const startY = imageStartY + 20;
-            
-            pdf.setDrawColor(100);
             pdf.setFillColor(240, 240, 240);
-            
-            for (let row = 0; row < rows; row++) {
-                for (let col = 0; col < cols; col++) {
-                    const x = startX + col * cellWidth;
-                    const y = startY + row * cellHeight;
-                    const pageNum = row * cols + col + 1;
-                    
-                    pdf.rect(x, y, cellWidth, cellHeight, 'FD');
-                    
-                    pdf.setFontSize(12);
-                    pdf.setTextColor(50, 50, 50);
-                    pdf.text(String(pageNum), x + cellWidth / 2, y + cellHeight / 2 + 3, { align: 'center' });
-                }
+            pdf.rect(boardX, boardStartY, boardWidth, boardHeight, 'F');
+        }
+
+        // Outline of every page's share of the board, overlaps included, with its number
+        pdf.setLineWidth(0.3);
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const page = this.getPageCoverage(row, col);
+                const x = boardX + page.x * scale;
+                const y = boardStartY + page.y * scale;
+                const width = page.width * scale;
+                const height = page.height * scale;
+
+                pdf.setDrawColor(0, 0, 0);
+                pdf.rect(x, y, width, height, 'S');
+
+                const centerX = x + width / 2;
+                const centerY = y + height / 2;
+                const circleRadius = Math.min(6, Math.min(width, height) * 0.15);
+                pdf.setFillColor(255, 255, 255);
+                pdf.circle(centerX, centerY, circleRadius, 'FD');
+
+                const fontSize = Math.min(12, circleRadius * 2.5);
+                pdf.setFontSize(fontSize);
+                pdf.setTextColor(0, 0, 0);
+                pdf.text(String(row * cols + col + 1), centerX, centerY + fontSize * 0.12, { align: 'center' });
             }
         }
-        
-        // Instructions at bottom
-        const instructionsY = pageHeight - 35;
+
+        // Finished size, materials and steps below the board
+        let y = boardStartY + boardHeight + 10;
+        pdf.setFontSize(11);
+        pdf.setTextColor(50, 50, 50);
+        pdf.text(`Finished board: ${this.formatCm(plan.boardWidthCm)} × ${this.formatCm(plan.boardHeightCm)} cm`, margin, y);
+
+        y += 8;
         pdf.setFontSize(9);
         pdf.setTextColor(60);
-        
-        pdf.text('Instructions:', margin, instructionsY);
+        pdf.text('Materials:', margin, y);
+        pdf.setFontSize(8);
+        plan.materials.forEach(item => {
+            y += lineHeight;
+            pdf.text(`• ${item}`, margin, y);
+        });
+
+        y += 7;
+        pdf.setFontSize(9);
+        pdf.text('Steps:', margin, y);
+        pdf.setFontSize(8);
+        plan.steps.forEach((step, i) => {
+            y += lineHeight;
+            pdf.text(`${i + 1}. ${step}`, margin, y);
+        });
+    }
+
+    /**
+     * Add the row-by-row sheets: each row of pages as pictures marked with the edges to trim and
+     * how far the next pages cover them, and a note per page saying what goes over what
+     * @param {PdfStreamWriter} pdf
+     * @param {Object} plan - From getAssemblyPlan()
+     */
+    addRowByRowPages(pdf, plan) {
+        const { cols, pageWidthPx, pageHeightPx } = this.config;
+        const margin = 15;
+        const gap = 4;
+        const lineHeight = 4.5;
+
+        const startSheet = () => {
+            pdf.addPage(this.config.paper.jsPdfFormat, 'portrait');
+            const pageWidth = pdf.internal.pageSize.getWidth();
+
+            pdf.setFontSize(14);
+            pdf.setTextColor(50, 50, 50);
+            pdf.text('Row by Row', pageWidth / 2, 15, { align: 'center' });
+
+            pdf.setFontSize(8);
+            pdf.setTextColor(80);
+            pdf.text('Red: trim the white border off this edge.   Grey: the next page covers the picture up to this line.',
+                pageWidth / 2, 21, { align: 'center' });
+            return 32;
+        };
+
+        let y = startSheet();
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const thumbWidth = Math.min(40, (pageWidth - margin * 2 - gap * (cols - 1)) / cols);
+        const thumbHeight = thumbWidth * pageHeightPx / pageWidthPx;
+        const scale = thumbWidth / pageWidthPx;
+
+        // Shrink the page labels when many narrow pictures share a row
         pdf.setFontSize(8);
-        pdf.text('1. Print all pages at 100% scale (no "fit to page")', margin, instructionsY + 6);
-        pdf.text(`2. Overlap adjacent edges by ${Math.round(overlapMm)}mm when assembling`, margin, instructionsY + 12);
-        pdf.text('3. Start from tile #1 (top-left) and work right, then down', margin, instructionsY + 18);
+        const labelSize = Math.min(8, 8 * (thumbWidth + gap - 1) / pdf.getTextWidth(`Page ${this.config.totalPages}`));
+
+        plan.rows.forEach(({ number, tiles }) => {
+            const blockHeight = 4 + thumbHeight + 10 + tiles.length * lineHeight;
+            if (y + blockHeight > pageHeight - margin) {
+                y = startSheet();
+            }
+
+            pdf.setFontSize(11);
+            pdf.setTextColor(50, 50, 50);
+            pdf.text(`Row ${number}: pages ${tiles[0].index + 1}-${tiles[tiles.length - 1].index + 1}`, margin, y);
+            y += 4;
+
+            tiles.forEach(tile => {
+                const x = margin + tile.col * (thumbWidth + gap);
+                const thumbnail = this.createTileThumbnail(tile);
+                if (thumbnail) {
+                    pdf.addImage(thumbnail, 'JPEG', x, y, thumbWidth, thumbHeight);
+                }
+                pdf.setDrawColor(180);
+                pdf.setLineWidth(0.2);
+                pdf.rect(x, y, thumbWidth, thumbHeight, 'S');
+                this.markThumbnailEdges(pdf, tile, x, y, scale);
+
+                pdf.setFontSize(labelSize);
+                pdf.setTextColor(60);
+                pdf.text(`Page ${tile.index + 1}`, x + thumbWidth / 2, y + thumbHeight + 4, { align: 'center' });
+            });
+            y += thumbHeight + 10;
+
+            pdf.setFontSize(8);
+            pdf.setTextColor(60);
+            tiles.forEach(tile => {
+                pdf.text(`Page ${tile.index + 1}: ${this.describeTileJoins(tile)}`, margin, y);
+                y += lineHeight;
+            });
+            y += 6;
+        });
+    }
+
+    /**
+     * Mark a page picture with the edges to trim in red and, in grey, how far the pages to its
+     * right and below cover it
+     * @param {number} scale - mm on the sheet per page pixel
+     */
+    markThumbnailEdges(pdf, tile, x, y, scale) {
+        const { marginPx, contentWidthPx, contentHeightPx, overlapPx } = this.config;
+        const left = x + marginPx.left * scale;
+        const top = y + marginPx.top * scale;
+        const right = left + contentWidthPx * scale;
+        const bottom = top + contentHeightPx * scale;
+        const edges = this.getTileEdges(tile);
+
+        pdf.setDrawColor(220, 38, 38);
+        pdf.setLineWidth(0.4);
+        edges.filter(edge => edge.trim).forEach(({ side }) => {
+            if (side === 'top') pdf.line(left, top, right, top);
+            if (side === 'bottom') pdf.line(left, bottom, right, bottom);
+            if (side === 'left') pdf.line(left, top, left, bottom);
+            if (side === 'right') pdf.line(right, top, right, bottom);
+        });
+
+        if (overlapPx <= 0) return;
+        const overlap = overlapPx * scale;
+        pdf.setDrawColor(120);
+        pdf.setLineWidth(0.2);
+        edges.forEach(({ side }) => {
+            if (side === 'right') pdf.line(right - overlap, top, right - overlap, bottom);
+            if (side === 'bottom') pdf.line(left, bottom - overlap, right, bottom - overlap);
+        });
     }
 
     /**
@@ -318,6 +1189,8 @@ Generated by RA Tools - Bulletin Board Designer
     reset() {
         this.tiles = [];
         this.config = null;
+        this.tileRenderer = null;
+        this.boardRenderer = null;
     }
 }
 
@@ -0,0 +1,104 @@
+/**
+ * Project File
+ * Saves a design as one portable .bbd file and opens it again: a ZIP holding
+ * project.json (the settings) and an assets/ folder with the images it uses
+ */
+
+const PROJECT_FORMAT = 'bulletin-board-designer';
+const PROJECT_VERSION = 1;
+const PROJECT_EXTENSION = '.bbd';
+
+// File extensions for asset types that have no file name of their own
+const ASSET_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp',
+    'image/svg+xml': 'svg',
+    'application/pdf': 'pdf'
+};
+
+class ProjectFile {
+    static isProjectFile(file) {
+        return file.name.toLowerCase().endsWith(PROJECT_EXTENSION);
+    }
+
+    /**
+     * Name for an asset inside the project file
+     * @param {string} base - Name without extension, such as "source"
+     * @param {string} type - MIME type
+     * @param {string} fileName - Original file name, whose extension is kept when given
+     */
+    static assetName(base, type, fileName = '') {
+        const match = /\.([a-z0-9]+)$/i.exec(fileName);
+        const extension = match ? match[1].toLowerCase() : (ASSET_EXTENSIONS[type] || 'bin');
+        return `assets/${base}.${extension}`;
+    }
+
+    /**
+     * Build a project file
+     * @param {Object} project - JSON-safe project; images are referenced by asset name
+     * @param {Object} assets - Blobs keyed by asset name
+     * @returns {Promise<Blob>}
+     */
+    static async write(project, assets) {
+        const zip = new JSZip();
+        zip.file('project.json', JSON.stringify({
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            savedAt: new Date().toISOString(),
+            ...project
+        }, null, 2));
+
+        // Images are already compressed, so they are stored as they are
+        Object.entries(assets).forEach(([name, blob]) => {
+            zip.file(name, blob, { compression: 'STORE' });
+        });
+
+        return zip.generateAsync({
+            type: 'blob',
+            mimeType: 'application/zip',
+            compression: 'DEFLATE',
+            compressionOptions: { level: 6 }
+        });
+    }
+
+    /**
+     * Read a project file
+     * @param {File|Blob} file
+     * @returns {Promise<Object>} { project, assets } with assets as a Map of asset name to Blob
+     */
+    static async read(file) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(file);
+        } catch (error) {
+            throw new Error('The file is not a valid project file');
+        }
+
+        const entry = zip.file('project.json');
+        if (!entry) {
+            throw new Error('The file is not a valid project file');
+        }
+
+        const project = JSON.parse(await entry.async('string'));
+        if (project.format !== PROJECT_FORMAT) {
+            throw new Error('The file is not a Bulletin Board Designer project');
+        }
+        if (project.version > PROJECT_VERSION) {
+            throw new Error('The project was saved by a newer version of Bulletin Board Designer');
+        }
+
+        const assets = new Map();
+        const files = zip.file(/^assets\//);
+        await Promise.all(files.map(async (asset) => {
+            assets.set(asset.name, await asset.async('blob'));
+        }));
+
+        return { project, assets };
+    }
+}
+
+// Export
+window.ProjectFile = ProjectFile;
@@ -0,0 +1,102 @@
+/**
+ * Project Store
+ * Keeps recent projects in IndexedDB so the session survives a refresh or a closed tab
+ *
+ * Each record holds what a .bbd file holds (the project and its image blobs) plus a
+ * name and a thumbnail for the recent projects list.
+ */
+
+const PROJECT_DB_NAME = 'bulletin-board-designer';
+const PROJECT_DB_VERSION = 1;
+const PROJECT_STORE_NAME = 'projects';
+
+// Older projects are removed once there are more than this many
+const MAX_RECENT_PROJECTS = 8;
+
+class ProjectStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating it on first use
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(PROJECT_DB_NAME, PROJECT_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(PROJECT_STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again, e.g. after the user allows storage
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in a transaction and wait for the transaction to finish
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} makeRequest - Called with the object store; returns an IDBRequest
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(PROJECT_STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(PROJECT_STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save or replace a project, then drop the oldest beyond MAX_RECENT_PROJECTS
+     * @param {Object} record - { id, name, thumbnail, project, assets }
+     */
+    async save(record) {
+        await this.run('readwrite', store => store.put({ ...record, updatedAt: Date.now() }));
+        await this.prune();
+    }
+
+    /**
+     * Get one project with its assets
+     * @param {string} id
+     * @returns {Promise<Object|undefined>}
+     */
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * All projects, most recently saved first
+     * @returns {Promise<Array>}
+     */
+    async list() {
+        const records = await this.run('readonly', store => store.index('updatedAt').getAll());
+        return records.reverse();
+    }
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    async prune() {
+        const records = await this.list();
+        await Promise.all(records.slice(MAX_RECENT_PROJECTS).map(record => this.delete(record.id)));
+    }
+}
+
+// Export
+window.ProjectStore = ProjectStore;
@@ -0,0 +1,448 @@
+/**
+ * Resample Kernels
+ * Pure pixel resampling routines shared by the main thread and the resample workers.
+ * Loaded with a <script> tag on the page and with importScripts() inside workers.
+ */
+
+const ResampleKernels = {
+    // Weight tables keyed by "srcSize:dstSize:filter", reused across bands, tiles and passes
+    weightCache: new Map(),
+    maxCachedTables: 16,
+
+    // Most Scale2x passes before the final resample (8×)
+    maxEdgePasses: 3,
+
+    // Channel difference summed over RGBA below which two pixels count as the same colour,
+    // so anti-aliased or JPEG-compressed line art still has clean edges
+    edgeTolerance: 48,
+
+    /**
+     * Lanczos kernel function
+     * @param {number} x - Distance from the sample centre
+     * @param {number} a - Number of lobes
+     */
+    lanczos(x, a = 3) {
+        if (x === 0) return 1;
+        if (x < -a || x > a) return 0;
+        const pix = Math.PI * x;
+        return (a * Math.sin(pix) * Math.sin(pix / a)) / (pix * pix);
+    },
+
+    /**
+     * Keys cubic convolution kernel (Catmull-Rom, a = -0.5)
+     * @param {number} x - Distance from the sample centre
+     */
+    cubic(x) {
+        const t = Math.abs(x);
+        if (t <= 1) return 1.5 * t * t * t - 2.5 * t * t + 1;
+        if (t < 2) return -0.5 * t * t * t + 2.5 * t * t - 4 * t + 2;
+        return 0;
+    },
+
+    /**
+     * Separable filters: radius in source pixels at 1:1 and the kernel function
+     */
+    FILTERS: {
+        lanczos2: { radius: 2, kernel: (x) => ResampleKernels.lanczos(x, 2) },
+        lanczos3: { radius: 3, kernel: (x) => ResampleKernels.lanczos(x, 3) },
+        lanczos4: { radius: 4, kernel: (x) => ResampleKernels.lanczos(x, 4) },
+        bicubic: { radius: 2, kernel: (x) => ResampleKernels.cubic(x) }
+    },
+
+    /**
+     * Kernel radius in source pixels; the kernel widens when downscaling
+     */
+    support(srcSize, dstSize, filter = 'lanczos3') {
+        const { radius } = ResampleKernels.FILTERS[filter];
+        return Math.ceil(radius * Math.max(1, srcSize / dstSize));
+    },
+
+    /**
+     * Precompute normalised filter weights for every output coordinate along one axis
+     * @param {number} srcSize - Source length in pixels
+     * @param {number} dstSize - Destination length in pixels
+     * @param {string} filter - Key of FILTERS
+     * @returns {Object} { starts, counts, weights, taps } where output i reads source
+     *   pixels starts[i] .. starts[i] + counts[i] - 1 with weights[i * taps + k]
+     */
+    getWeights(srcSize, dstSize, filter = 'lanczos3') {
+        const key = `${srcSize}:${dstSize}:${filter}`;
+        const cached = ResampleKernels.weightCache.get(key);
+        if (cached) return cached;
+
+        const { kernel } = ResampleKernels.FILTERS[filter];
+        const scale = srcSize / dstSize;
+        const filterScale = Math.max(1, scale);
+        const radius = ResampleKernels.support(srcSize, dstSize, filter);
+        const taps = radius * 2 + 2;
+
+        const starts = new Int32Array(dstSize);
+        const counts = new Int32Array(dstSize);
+        const weights = new Float32Array(dstSize * taps);
+
+        for (let i = 0; i < dstSize; i++) {
+            const center = i * scale;
+            const first = Math.max(0, Math.floor(center) - radius);
+            const last = Math.min(srcSize - 1, Math.ceil(center) + radius);
+
+            let sum = 0;
+            for (let s = first; s <= last; s++) {
+                const w = kernel((center - s) / filterScale);
+                weights[i * taps + (s - first)] = w;
+                sum += w;
+            }
+
+            // Normalise so flat areas keep their exact colour
+            if (sum !== 0) {
+                for (let k = 0; k <= last - first; k++) {
+                    weights[i * taps + k] /= sum;
+                }
+            }
+
+            starts[i] = first;
+            counts[i] = last - first + 1;
+        }
+
+        const table = { starts, counts, weights, taps };
+
+        if (ResampleKernels.weightCache.size >= ResampleKernels.maxCachedTables) {
+            ResampleKernels.weightCache.delete(ResampleKernels.weightCache.keys().next().value);
+        }
+        ResampleKernels.weightCache.set(key, table);
+
+        return table;
+    },
+
+    /**
+     * Source pixel window needed to produce a region of the resampled image
+     * @param {Object} region - { x, y, width, height } in destination pixels
+     * @param {number} prescale - Scale2x passes applied to the window before resampling
+     * @returns {Object} { x, y, width, height } in source pixels, kernel margin included
+     */
+    sourceWindow(srcWidth, srcHeight, targetWidth, targetHeight, region, filter = 'lanczos3', prescale = 0) {
+        const factor = 1 << prescale;
+        const horizontal = ResampleKernels.getWeights(srcWidth * factor, targetWidth, filter);
+        const vertical = ResampleKernels.getWeights(srcHeight * factor, targetHeight, filter);
+        const lastX = region.x + region.width - 1;
+        const lastY = region.y + region.height - 1;
+
+        const x = horizontal.starts[region.x];
+        const y = vertical.starts[region.y];
+        const right = horizontal.starts[lastX] + horizontal.counts[lastX];
+        const bottom = vertical.starts[lastY] + vertical.counts[lastY];
+
+        if (!prescale) {
+            return { x, y, width: right - x, height: bottom - y };
+        }
+
+        // Back to source pixels, with a 2 pixel margin so Scale2x sees each pixel's neighbours
+        // (the margin stays 2 pixels wide after every pass)
+        const margin = 2;
+        const srcX = Math.max(0, Math.floor(x / factor) - margin);
+        const srcY = Math.max(0, Math.floor(y / factor) - margin);
+        return {
+            x: srcX,
+            y: srcY,
+            width: Math.min(srcWidth, Math.ceil(right / factor) + margin) - srcX,
+            height: Math.min(srcHeight, Math.ceil(bottom / factor) + margin) - srcY
+        };
+    },
+
+    /**
+     * Number of Scale2x passes that keep the edge-directed image no larger than the target
+     */
+    edgePasses(srcWidth, srcHeight, targetWidth, targetHeight) {
+        const scale = Math.min(targetWidth / srcWidth, targetHeight / srcHeight);
+        return Math.min(ResampleKernels.maxEdgePasses, Math.max(0, Math.floor(Math.log2(scale))));
+    },
+
+    /**
+     * Check if two RGBA pixels are close enough to treat as the same colour
+     */
+    similar(data, i, j) {
+        return Math.abs(data[i] - data[j]) +
+            Math.abs(data[i + 1] - data[j + 1]) +
+            Math.abs(data[i + 2] - data[j + 2]) +
+            Math.abs(data[i + 3] - data[j + 3]) < ResampleKernels.edgeTolerance;
+    },
+
+    /**
+     * Double an image with EPX/Scale2x edge-directed interpolation
+     * Each pixel becomes a 2×2 block; a corner takes a neighbour's colour when the two
+     * neighbours meeting at that corner agree, which follows diagonal edges instead of
+     * blurring them. Pixels outside the image repeat the nearest edge pixel.
+     * @param {Uint8ClampedArray} src - RGBA pixels
+     * @param {number} width
+     * @param {number} height
+     * @returns {Uint8ClampedArray} RGBA pixels, (width * 2) × (height * 2)
+     */
+    scale2x(src, width, height) {
+        const outWidth = width * 2;
+        const dest = new Uint8ClampedArray(outWidth * height * 2 * 4);
+        const similar = ResampleKernels.similar;
+
+        const copy = (from, x, y) => {
+            const d = (y * outWidth + x) * 4;
+            dest[d] = src[from];
+            dest[d + 1] = src[from + 1];
+            dest[d + 2] = src[from + 2];
+            dest[d + 3] = src[from + 3];
+        };
+
+        for (let y = 0; y < height; y++) {
+            const up = Math.max(0, y - 1);
+            const down = Math.min(height - 1, y + 1);
+
+            for (let x = 0; x < width; x++) {
+                const p = (y * width + x) * 4;
+                const a = (up * width + x) * 4;                           // above
+                const b = (y * width + Math.min(width - 1, x + 1)) * 4;   // right
+                const c = (y * width + Math.max(0, x - 1)) * 4;           // left
+                const d = (down * width + x) * 4;                         // below
+
+                const ox = x * 2;
+                const oy = y * 2;
+
+                // Only corners on a clear edge change, so flat areas and busy texture are left alone
+                if (similar(src, a, d) || similar(src, c, b)) {
+                    copy(p, ox, oy);
+                    copy(p, ox + 1, oy);
+                    copy(p, ox, oy + 1);
+                    copy(p, ox + 1, oy + 1);
+                    continue;
+                }
+
+                copy(similar(src, c, a) ? a : p, ox, oy);
+                copy(similar(src, a, b) ? b : p, ox + 1, oy);
+                copy(similar(src, d, c) ? c : p, ox, oy + 1);
+                copy(similar(src, b, d) ? d : p, ox + 1, oy + 1);
+            }
+        }
+
+        return dest;
+    },
+
+    /**
+     * Resample a rectangle [startX, endX) × [startY, endY) of the target image
+     * Separable: a horizontal pass over the source rows the region needs, then a vertical pass
+     * @param {Object} job
+     * @param {Uint8ClampedArray} job.src - RGBA source window pixels
+     * @param {number} job.srcWidth - Full source width
+     * @param {number} job.srcHeight - Full source height
+     * @param {number} job.srcOffsetX - First source column held in src
+     * @param {number} job.srcOffsetY - First source row held in src
+     * @param {number} job.srcStride - Width of the source window in pixels
+     * @param {Uint8ClampedArray} job.dest - RGBA output for the region
+     * @param {number} job.targetWidth - Full target width
+     * @param {number} job.targetHeight - Full target height
+     * @param {number} job.startX
+     * @param {number} job.endX
+     * @param {number} job.startY
+     * @param {number} job.endY
+     * @param {string} job.filter - Key of FILTERS
+     * @param {number} job.prescale - Optional Scale2x passes applied to the source window first
+     * @param {function} job.onRows - Optional callback with the number of rows just finished
+     */
+    resampleRegion(job) {
+        if (job.prescale) {
+            ResampleKernels.resampleRegion(ResampleKernels.prescaleJob(job));
+            return;
+        }
+
+        const {
+            src,
+            srcWidth,
+            srcHeight,
+            srcOffsetX = 0,
+            srcOffsetY = 0,
+            srcStride = srcWidth,
+            dest,
+            targetWidth,
+            targetHeight,
+            startX = 0,
+            endX = targetWidth,
+            startY,
+            endY,
+            filter = 'lanczos3',
+            onRows = null
+        } = job;
+
+        const horizontal = ResampleKernels.getWeights(srcWidth, targetWidth, filter);
+        const vertical = ResampleKernels.getWeights(srcHeight, targetHeight, filter);
+        const regionWidth = endX - startX;
+
+        // Source rows touched by this region
+        const rowStart = vertical.starts[startY];
+        const rowEnd = vertical.starts[endY - 1] + vertical.counts[endY - 1] - 1;
+        const rowCount = rowEnd - rowStart + 1;
+
+        // Pass 1: resample each needed source row horizontally into a float buffer
+        const rowStride = regionWidth * 4;
+        const temp = new Float32Array(rowCount * rowStride);
+        const hTaps = horizontal.taps;
+
+        for (let row = 0; row < rowCount; row++) {
+            const srcRow = (rowStart + row - srcOffsetY) * srcStride * 4;
+            const tempRow = row * rowStride;
+
+            for (let x = startX; x < endX; x++) {
+                const first = horizontal.starts[x] - srcOffsetX;
+                const count = horizontal.counts[x];
+                const wBase = x * hTaps;
+
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < count; k++) {
+                    const w = horizontal.weights[wBase + k];
+                    const idx = srcRow + (first + k) * 4;
+                    r += src[idx] * w;
+                    g += src[idx + 1] * w;
+                    b += src[idx + 2] * w;
+                    a += src[idx + 3] * w;
+                }
+
+                const t = tempRow + (x - startX) * 4;
+                temp[t] = r;
+                temp[t + 1] = g;
+                temp[t + 2] = b;
+                temp[t + 3] = a;
+            }
+        }
+
+        // Pass 2: resample the intermediate rows vertically into the region
+        const vTaps = vertical.taps;
+        const progressEvery = Math.max(1, Math.floor((endY - startY) / 20));
+        let reported = 0;
+
+        for (let y = startY; y < endY; y++) {
+            const first = vertical.starts[y] - rowStart;
+            const count = vertical.counts[y];
+            const wBase = y * vTaps;
+            const destRow = (y - startY) * rowStride;
+
+            for (let x = 0; x < rowStride; x += 4) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < count; k++) {
+                    const w = vertical.weights[wBase + k];
+                    const t = (first + k) * rowStride + x;
+                    r += temp[t] * w;
+                    g += temp[t + 1] * w;
+                    b += temp[t + 2] * w;
+                    a += temp[t + 3] * w;
+                }
+
+                const d = destRow + x;
+                dest[d] = Math.min(255, Math.max(0, Math.round(r)));
+                dest[d + 1] = Math.min(255, Math.max(0, Math.round(g)));
+                dest[d + 2] = Math.min(255, Math.max(0, Math.round(b)));
+                dest[d + 3] = Math.min(255, Math.max(0, Math.round(a)));
+            }
+
+            const done = y - startY + 1;
+            if (onRows && (done - reported >= progressEvery || y === endY - 1)) {
+                onRows(done - reported);
+                reported = done;
+            }
+        }
+    },
+
+    /**
+     * Apply a job's Scale2x passes to its source window
+     * @returns {Object} The same job resampling from the enlarged window
+     */
+    prescaleJob(job) {
+        const { srcWidth, srcHeight, srcOffsetX = 0, srcOffsetY = 0, prescale } = job;
+        let width = job.srcStride || srcWidth;
+        let height = job.src.length / 4 / width;
+        let pixels = job.src;
+
+        for (let pass = 0; pass < prescale; pass++) {
+            pixels = ResampleKernels.scale2x(pixels, width, height);
+            width *= 2;
+            height *= 2;
+        }
+
+        const factor = 1 << prescale;
+        return {
+            ...job,
+            src: pixels,
+            srcWidth: srcWidth * factor,
+            srcHeight: srcHeight * factor,
+            srcOffsetX: srcOffsetX * factor,
+            srcOffsetY: srcOffsetY * factor,
+            srcStride: width,
+            prescale: 0
+        };
+    },
+
+    /**
+     * Pixels beyond a region that the unsharp mask reads for a given radius
+     */
+    sharpenMargin(radius) {
+        return Math.ceil(radius * 3);
+    },
+
+    /**
+     * Unsharp mask in place: push each pixel away from a Gaussian blur of its surroundings
+     * @param {Uint8ClampedArray} data - RGBA pixels
+     * @param {number} width
+     * @param {number} height
+     * @param {number} amount - Strength, 1 = add 100% of the detail again
+     * @param {number} radius - Gaussian sigma in pixels
+     */
+    unsharpMask(data, width, height, amount, radius) {
+        const margin = ResampleKernels.sharpenMargin(radius);
+        const kernel = new Float32Array(margin * 2 + 1);
+        let sum = 0;
+        for (let k = -margin; k <= margin; k++) {
+            const w = Math.exp(-(k * k) / (2 * radius * radius));
+            kernel[k + margin] = w;
+            sum += w;
+        }
+        for (let k = 0; k < kernel.length; k++) {
+            kernel[k] /= sum;
+        }
+
+        // Horizontal blur into a byte buffer (alpha is left unsharpened)
+        const blurred = new Uint8ClampedArray(data.length);
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let k = -margin; k <= margin; k++) {
+                    const sx = Math.min(width - 1, Math.max(0, x + k));
+                    const idx = (row + sx) * 4;
+                    const w = kernel[k + margin];
+                    r += data[idx] * w;
+                    g += data[idx + 1] * w;
+                    b += data[idx + 2] * w;
+                }
+                const t = (row + x) * 4;
+                blurred[t] = r;
+                blurred[t + 1] = g;
+                blurred[t + 2] = b;
+            }
+        }
+
+        // Vertical blur, combined with the original as it goes
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let k = -margin; k <= margin; k++) {
+                    const sy = Math.min(height - 1, Math.max(0, y + k));
+                    const idx = (sy * width + x) * 4;
+                    const w = kernel[k + margin];
+                    r += blurred[idx] * w;
+                    g += blurred[idx + 1] * w;
+                    b += blurred[idx + 2] * w;
+                }
+                const d = (y * width + x) * 4;
+                data[d] = data[d] + (data[d] - r) * amount;
+                data[d + 1] = data[d + 1] + (data[d + 1] - g) * amount;
+                data[d + 2] = data[d + 2] + (data[d + 2] - b) * amount;
+            }
+        }
+    }
+};
+
+// Export (self is window on the page and the global scope inside workers)
+self.ResampleKernels = ResampleKernels;
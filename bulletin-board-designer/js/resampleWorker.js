@@ -0,0 +1,66 @@
+/**
+ * Resample Worker
+ * Runs resampling kernels for one band of the output image off the main thread
+ *
+ * Request:  { taskId, bitmap, srcWidth, srcHeight, srcOffsetX, srcOffsetY,
+ *             targetWidth, targetHeight, startX, endX, startY, endY, filter, prescale }
+ *           bitmap holds the source window starting at (srcOffsetX, srcOffsetY)
+ * Replies:  { taskId, type: 'progress', rows }
+ *           { taskId, type: 'done', buffer }   RGBA pixels of the band (transferred)
+ *           { taskId, type: 'error', message }
+ */
+
+importScripts('resampleKernels.js');
+
+self.onmessage = (e) => {
+    const {
+        taskId,
+        bitmap,
+        srcWidth,
+        srcHeight,
+        srcOffsetX,
+        srcOffsetY,
+        targetWidth,
+        targetHeight,
+        startX,
+        endX,
+        startY,
+        endY,
+        filter,
+        prescale
+    } = e.data;
+
+    try {
+        // Read the source window back into pixels
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        const src = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+
+        const dest = new Uint8ClampedArray((endX - startX) * (endY - startY) * 4);
+
+        ResampleKernels.resampleRegion({
+            src,
+            srcWidth,
+            srcHeight,
+            srcOffsetX,
+            srcOffsetY,
+            srcStride: canvas.width,
+            dest,
+            targetWidth,
+            targetHeight,
+            startX,
+            endX,
+            startY,
+            endY,
+            filter,
+            prescale,
+            onRows: (rows) => self.postMessage({ taskId, type: 'progress', rows })
+        });
+
+        self.postMessage({ taskId, type: 'done', buffer: dest.buffer }, [dest.buffer]);
+    } catch (error) {
+        self.postMessage({ taskId, type: 'error', message: error.message });
+    }
+};
@@ -13,6 +13,66 @@ const A4 = {
     HEIGHT_LANDSCAPE_MM: 210
 };
 
+// Paper size registry (portrait dimensions in mm)
+// jsPdfFormat is the named format PdfStreamWriter.addPage understands; custom sizes pass [width, height]
+const PAPER_SIZES = {
+    a4: { label: 'A4', widthMm: 210, heightMm: 297, jsPdfFormat: 'a4' },
+    a3: { label: 'A3', widthMm: 297, heightMm: 420, jsPdfFormat: 'a3' },
+    letter: { label: 'US Letter', widthMm: 215.9, heightMm: 279.4, jsPdfFormat: 'letter' },
+    legal: { label: 'US Legal', widthMm: 215.9, heightMm: 355.6, jsPdfFormat: 'legal' },
+    tabloid: { label: 'Tabloid', widthMm: 279.4, heightMm: 431.8, jsPdfFormat: 'tabloid' }
+};
+
+// Printer non-printable margin presets (in mm, per side of the page as printed)
+const PRINTER_MARGIN_PRESETS = {
+    none: { label: 'Borderless', top: 0, right: 0, bottom: 0, left: 0 },
+    inkjet: { label: 'Inkjet', top: 3, right: 3, bottom: 5, left: 3 },
+    laser: { label: 'Laser', top: 4.2, right: 4.2, bottom: 4.2, left: 4.2 },
+    safe: { label: 'Safe (¼ in)', top: 6.35, right: 6.35, bottom: 6.35, left: 6.35 }
+};
+
+// Resolve a margin preset id (or custom { top, right, bottom, left }) to margins in mm
+function getPrinterMargins(preset = 'none', customMargins = null) {
+    const source = preset === 'custom' && customMargins
+        ? customMargins
+        : (PRINTER_MARGIN_PRESETS[preset] || PRINTER_MARGIN_PRESETS.none);
+
+    return {
+        top: Math.max(0, source.top || 0),
+        right: Math.max(0, source.right || 0),
+        bottom: Math.max(0, source.bottom || 0),
+        left: Math.max(0, source.left || 0)
+    };
+}
+
+// Resolve a paper size id (or custom { widthMm, heightMm }) to oriented page dimensions
+function getPaperDimensions(paperSize = 'a4', orientation = 'portrait', customSize = null) {
+    let paper;
+    if (paperSize === 'custom' && customSize) {
+        paper = {
+            label: 'Custom',
+            widthMm: customSize.widthMm,
+            heightMm: customSize.heightMm,
+            jsPdfFormat: null
+        };
+    } else {
+        paper = PAPER_SIZES[paperSize] || PAPER_SIZES.a4;
+    }
+
+    // Always treat the shorter side as the portrait width
+    const shortMm = Math.min(paper.widthMm, paper.heightMm);
+    const longMm = Math.max(paper.widthMm, paper.heightMm);
+    const isPortrait = orientation === 'portrait';
+
+    return {
+        id: PAPER_SIZES[paperSize] ? paperSize : 'custom',
+        label: paper.label,
+        widthMm: isPortrait ? shortMm : longMm,
+        heightMm: isPortrait ? longMm : shortMm,
+        jsPdfFormat: paper.jsPdfFormat || [shortMm, longMm]
+    };
+}
+
 // Convert mm to pixels at given DPI
 function mmToPixels(mm, dpi) {
     return Math.round((mm / 25.4) * dpi);
@@ -43,47 +103,78 @@ function formatDimensions(width, height) {
 }
 
 // Calculate grid dimensions
-function calculateGridDimensions(targetWidthMm, targetHeightMm, dpi, orientation, overlapMm) {
-    // Get A4 dimensions based on orientation
-    const a4Width = orientation === 'portrait' ? A4.WIDTH_PORTRAIT_MM : A4.WIDTH_LANDSCAPE_MM;
-    const a4Height = orientation === 'portrait' ? A4.HEIGHT_PORTRAIT_MM : A4.HEIGHT_LANDSCAPE_MM;
+function calculateGridDimensions(targetWidthMm, targetHeightMm, dpi, orientation, overlapMm, paperSize = 'a4', customSize = null, marginsMm = null) {
+    // Get page dimensions based on paper size and orientation
+    const paper = getPaperDimensions(paperSize, orientation, customSize);
+    const pageWidth = paper.widthMm;
+    const pageHeight = paper.heightMm;
+    const margins = marginsMm || getPrinterMargins('none');
     
-    // Effective printable area (accounting for overlap)
-    const effectiveWidth = a4Width - overlapMm;
-    const effectiveHeight = a4Height - overlapMm;
+    // Printable content area inside the printer's unprintable margins
+    const contentWidth = pageWidth - margins.left - margins.right;
+    const contentHeight = pageHeight - margins.top - margins.bottom;
     
-    // Calculate number of columns and rows needed
-    const cols = Math.ceil(targetWidthMm / effectiveWidth);
-    const rows = Math.ceil(targetHeightMm / effectiveHeight);
+    // Effective printable area (accounting for overlap)
+    const effectiveWidth = contentWidth - overlapMm;
+    const effectiveHeight = contentHeight - overlapMm;
     
     // Calculate actual dimensions in pixels
-    const a4WidthPx = mmToPixels(a4Width, dpi);
-    const a4HeightPx = mmToPixels(a4Height, dpi);
+    const pageWidthPx = mmToPixels(pageWidth, dpi);
+    const pageHeightPx = mmToPixels(pageHeight, dpi);
     const overlapPx = mmToPixels(overlapMm, dpi);
+    const marginPx = {
+        top: mmToPixels(margins.top, dpi),
+        right: mmToPixels(margins.right, dpi),
+        bottom: mmToPixels(margins.bottom, dpi),
+        left: mmToPixels(margins.left, dpi)
+    };
+    const contentWidthPx = pageWidthPx - marginPx.left - marginPx.right;
+    const contentHeightPx = pageHeightPx - marginPx.top - marginPx.bottom;
+    const effectiveWidthPx = contentWidthPx - overlapPx;
+    const effectiveHeightPx = contentHeightPx - overlapPx;
+
+    // Margins and overlap that use up the whole page leave nothing to tile: no pages at all
+    const fits = effectiveWidth > 0 && effectiveHeight > 0 && effectiveWidthPx > 0 && effectiveHeightPx > 0;
+
+    // Calculate number of columns and rows needed
+    const cols = fits ? Math.ceil(targetWidthMm / effectiveWidth) : 0;
+    const rows = fits ? Math.ceil(targetHeightMm / effectiveHeight) : 0;
     
     // Target dimensions in pixels (what the upscaled image should be)
     const targetWidthPx = mmToPixels(targetWidthMm, dpi);
     const targetHeightPx = mmToPixels(targetHeightMm, dpi);
     
     return {
+        fits,
         cols,
         rows,
         totalPages: cols * rows,
-        a4WidthPx,
-        a4HeightPx,
+        dpi,
+        orientation,
+        overlapMm,
+        paper,
+        margins,
+        pageWidthMm: pageWidth,
+        pageHeightMm: pageHeight,
+        pageWidthPx,
+        pageHeightPx,
+        marginPx,
+        contentWidthPx,
+        contentHeightPx,
         overlapPx,
         targetWidthPx,
         targetHeightPx,
-        effectiveWidthPx: a4WidthPx - overlapPx,
-        effectiveHeightPx: a4HeightPx - overlapPx
+        effectiveWidthPx,
+        effectiveHeightPx
     };
 }
 
 // Calculate required upscale factor
-function calculateUpscaleFactor(originalWidth, originalHeight, targetWidthPx, targetHeightPx) {
+function calculateUpscaleFactor(originalWidth, originalHeight, targetWidthPx, targetHeightPx, fitMode = 'cover') {
     const scaleX = targetWidthPx / originalWidth;
     const scaleY = targetHeightPx / originalHeight;
-    return Math.max(scaleX, scaleY);
+    // Letterboxing only scales as far as the tighter side allows
+    return fitMode === 'contain' ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
 }
 
 // Clamp a value between min and max
@@ -109,6 +200,23 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Error thrown when an operation is cancelled through an AbortSignal
+function createAbortError() {
+    return new DOMException('Operation cancelled', 'AbortError');
+}
+
+// Stop a long-running operation once its signal has been aborted
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+}
+
+// Check if an error came from a cancelled operation
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
 // Load image from file
 function loadImageFromFile(file) {
     return new Promise((resolve, reject) => {
@@ -142,6 +250,33 @@ function canvasToBlob(canvas, type = 'image/png', quality = 0.92) {
     });
 }
 
+// Convert a data URL (as held by loaded images) back into a Blob
+function dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(5, comma);
+    const data = dataUrl.slice(comma + 1);
+    const type = header.split(';')[0];
+
+    if (!header.includes(';base64')) {
+        return new Blob([decodeURIComponent(data)], { type });
+    }
+
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+// Free a canvas's pixel memory right away instead of waiting for garbage collection
+// (matters on tablets, where total canvas memory is capped)
+function releaseCanvas(canvas) {
+    if (!canvas) return;
+    canvas.width = 0;
+    canvas.height = 0;
+}
+
 // Download blob as file - uses data URL for file:// protocol compatibility
 function downloadBlob(blob, filename) {
     // Convert blob to data URL for reliable downloads
@@ -153,6 +288,14 @@ function downloadBlob(blob, filename) {
     reader.readAsDataURL(blob);
 }
 
+// Download a large blob through an object URL; a data URL would copy the whole file into one string
+function downloadLargeBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    forceDownload(url, filename);
+    // Revoked late, the download has to have started first
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
 // Force download with proper filename - works with file:// protocol
 function forceDownload(dataUrl, filename) {
     const a = document.createElement('a');
@@ -179,6 +322,24 @@ function generateId() {
     return Math.random().toString(36).substr(2, 9);
 }
 
+// Libraries in vendor/ that features depend on
+const EXPORT_ENGINES = [
+    {
+        id: 'jszip',
+        name: 'JSZip',
+        file: 'vendor/jszip.min.js',
+        features: 'ZIP export and project files',
+        isLoaded: () => typeof window.JSZip === 'function'
+    },
+    {
+        id: 'pdfjs',
+        name: 'pdf.js',
+        file: 'vendor/pdf.min.js',
+        features: 'opening PDF files',
+        isLoaded: () => Boolean(window.pdfjsLib)
+    }
+];
+
 // Check if browser supports required features
 function checkBrowserSupport() {
     const supported = {
@@ -190,16 +351,26 @@ function checkBrowserSupport() {
     };
     
     const allSupported = Object.values(supported).every(v => v);
+
+    // Engines whose script failed to load, e.g. because the vendor folder is missing
+    const missingEngines = EXPORT_ENGINES
+        .filter(engine => !engine.isLoaded())
+        .map(({ isLoaded, ...engine }) => engine);
     
     return {
         supported,
-        allSupported
+        allSupported,
+        missingEngines
     };
 }
 
 // Export utilities
 window.Utils = {
     A4,
+    PAPER_SIZES,
+    getPaperDimensions,
+    PRINTER_MARGIN_PRESETS,
+    getPrinterMargins,
     mmToPixels,
     pixelsToMm,
     cmToMm,
@@ -210,10 +381,16 @@ window.Utils = {
     clamp,
     debounce,
     sleep,
+    createAbortError,
+    throwIfAborted,
+    isAbortError,
     loadImageFromFile,
     loadImageFromUrl,
     canvasToBlob,
+    dataUrlToBlob,
+    releaseCanvas,
     downloadBlob,
+    downloadLargeBlob,
     forceDownload,
     generateId,
     checkBrowserSupport
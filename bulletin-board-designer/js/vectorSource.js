@@ -0,0 +1,274 @@
+/**
+ * Vector Source
+ * Renders SVG files and the first page of PDF files at any resolution, so vector
+ * artwork is drawn straight at print size instead of being upscaled from pixels
+ */
+
+// Longest side of the pixel space used for crops and the on-screen preview
+const VECTOR_PREVIEW_SIZE = 2048;
+
+// pdf.js worker, relative to the page; where workers are blocked (file://) pdf.js
+// loads it as a plain script and parses on the main thread instead
+const PDFJS_WORKER_URL = 'vendor/pdf.worker.min.js';
+
+// CSS pixels per unit for absolute SVG lengths
+const SVG_UNITS = {
+    '': 1,
+    px: 1,
+    pt: 96 / 72,
+    pc: 16,
+    mm: 96 / 25.4,
+    cm: 96 / 2.54,
+    in: 96
+};
+
+class VectorSource {
+    /**
+     * @param {string} type - 'svg' or 'pdf'
+     * @param {number} width - Width of the source's pixel space
+     * @param {number} height - Height of the source's pixel space
+     */
+    constructor(type, width, height) {
+        this.type = type;
+        this.width = width;
+        this.height = height;
+        this.previewImage = null;  // HTMLImageElement, width × height, for preview and cropping
+
+        // SVG
+        this.svgElement = null;
+        this.viewBox = null;
+
+        // PDF
+        this.pdfPage = null;
+        this.pointScale = 1;       // Pixels per PDF point in the source's pixel space
+    }
+
+    /**
+     * Get the vector type of a file, or null for raster images
+     * @param {File} file
+     * @returns {string|null} 'svg', 'pdf' or null
+     */
+    static getType(file) {
+        const name = file.name.toLowerCase();
+        if (file.type === 'image/svg+xml' || name.endsWith('.svg')) return 'svg';
+        if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+        return null;
+    }
+
+    static isVectorFile(file) {
+        return VectorSource.getType(file) !== null;
+    }
+
+    /**
+     * Load an SVG or PDF file
+     * @param {File} file
+     * @returns {Promise<VectorSource>}
+     */
+    static async fromFile(file) {
+        switch (VectorSource.getType(file)) {
+            case 'svg':
+                return VectorSource.fromSvgText(await file.text());
+            case 'pdf':
+                return VectorSource.fromPdfData(await file.arrayBuffer());
+            default:
+                throw new Error('Not a vector file');
+        }
+    }
+
+    /**
+     * @param {string} text - SVG markup
+     * @returns {Promise<VectorSource>}
+     */
+    static async fromSvgText(text) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const svg = doc.documentElement;
+        if (svg.nodeName.toLowerCase() !== 'svg' || doc.getElementsByTagName('parsererror').length) {
+            throw new Error('Invalid SVG file');
+        }
+
+        const viewBox = VectorSource.parseViewBox(svg.getAttribute('viewBox'));
+        let width = VectorSource.parseSvgLength(svg.getAttribute('width'));
+        let height = VectorSource.parseSvgLength(svg.getAttribute('height'));
+
+        // The viewBox decides the shape; width/height only give the intrinsic size
+        if (viewBox) {
+            const aspectRatio = viewBox.width / viewBox.height;
+            if (width) {
+                height = width / aspectRatio;
+            } else if (height) {
+                width = height * aspectRatio;
+            } else {
+                width = viewBox.width;
+                height = viewBox.height;
+            }
+        }
+        if (!width || !height) {
+            throw new Error('SVG has no size or viewBox');
+        }
+
+        const scale = VECTOR_PREVIEW_SIZE / Math.max(width, height);
+        const source = new VectorSource('svg', Math.round(width * scale), Math.round(height * scale));
+        source.svgElement = svg;
+        source.viewBox = viewBox || { x: 0, y: 0, width, height };
+        source.previewImage = await source.renderSvgImage(
+            { x: 0, y: 0, width: source.width, height: source.height },
+            source.width,
+            source.height
+        );
+
+        return source;
+    }
+
+    /**
+     * @param {ArrayBuffer} data - PDF file contents; only the first page is used
+     * @returns {Promise<VectorSource>}
+     */
+    static async fromPdfData(data) {
+        if (!window.pdfjsLib) {
+            throw new Error('PDF support is not available');
+        }
+
+        pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+        const pdf = await pdfjsLib.getDocument({ data }).promise;
+        const page = await pdf.getPage(1);
+        const pageSize = page.getViewport({ scale: 1 });
+
+        const scale = VECTOR_PREVIEW_SIZE / Math.max(pageSize.width, pageSize.height);
+        const source = new VectorSource(
+            'pdf',
+            Math.round(pageSize.width * scale),
+            Math.round(pageSize.height * scale)
+        );
+        source.pdfPage = page;
+        source.pointScale = scale;
+
+        // Rasterize the preview once at the source's pixel size
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        const fullPage = { x: 0, y: 0, width: source.width, height: source.height };
+        await source.render(canvas.getContext('2d'), fullPage, fullPage);
+        source.previewImage = await Utils.loadImageFromUrl(canvas.toDataURL('image/png'));
+        Utils.releaseCanvas(canvas);
+
+        return source;
+    }
+
+    /**
+     * Parse an SVG length such as "210mm" or "300" into CSS pixels
+     * @returns {number|null} null for missing or relative (%, em) lengths
+     */
+    static parseSvgLength(value) {
+        const match = /^\s*([\d.]+(?:e[+-]?\d+)?)\s*([a-z]*)\s*$/i.exec(value || '');
+        if (!match || !(match[2].toLowerCase() in SVG_UNITS)) return null;
+        const length = parseFloat(match[1]) * SVG_UNITS[match[2].toLowerCase()];
+        return length > 0 ? length : null;
+    }
+
+    static parseViewBox(value) {
+        const parts = (value || '').trim().split(/[\s,]+/).map(Number);
+        if (parts.length !== 4 || parts.some(isNaN) || parts[2] <= 0 || parts[3] <= 0) return null;
+        return { x: parts[0], y: parts[1], width: parts[2], height: parts[3] };
+    }
+
+    /**
+     * Draw part of the artwork into a rectangle of a canvas at that rectangle's resolution
+     * Only the part of destRect that falls on the canvas is rendered.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} srcRect - { x, y, width, height } in the source's pixel space
+     * @param {Object} destRect - { x, y, width, height } in canvas pixels
+     * @param {AbortSignal} signal - Optional signal that cancels rendering
+     */
+    async render(ctx, srcRect, destRect, signal = null) {
+        const left = Math.max(0, destRect.x);
+        const top = Math.max(0, destRect.y);
+        const right = Math.min(ctx.canvas.width, destRect.x + destRect.width);
+        const bottom = Math.min(ctx.canvas.height, destRect.y + destRect.height);
+        if (right <= left || bottom <= top) return;
+
+        const scaleX = destRect.width / srcRect.width;
+        const scaleY = destRect.height / srcRect.height;
+        const visible = {
+            x: srcRect.x + (left - destRect.x) / scaleX,
+            y: srcRect.y + (top - destRect.y) / scaleY,
+            width: (right - left) / scaleX,
+            height: (bottom - top) / scaleY
+        };
+        const target = { x: left, y: top, width: right - left, height: bottom - top };
+
+        if (this.type === 'svg') {
+            const image = await this.renderSvgImage(visible, target.width, target.height);
+            Utils.throwIfAborted(signal);
+            ctx.drawImage(image, target.x, target.y);
+        } else {
+            await this.renderPdf(ctx, visible, target, signal);
+        }
+    }
+
+    /**
+     * Make an image of part of the SVG by pointing its viewBox at that part
+     * @param {Object} rect - Region in the source's pixel space
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @returns {Promise<HTMLImageElement>}
+     */
+    renderSvgImage(rect, width, height) {
+        const unitsX = this.viewBox.width / this.width;
+        const unitsY = this.viewBox.height / this.height;
+
+        const svg = this.svgElement.cloneNode(true);
+        svg.setAttribute('viewBox', [
+            this.viewBox.x + rect.x * unitsX,
+            this.viewBox.y + rect.y * unitsY,
+            rect.width * unitsX,
+            rect.height * unitsY
+        ].join(' '));
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('preserveAspectRatio', 'none');
+
+        // Data URL rather than a blob URL so the canvas stays readable when opened from file://
+        const markup = new XMLSerializer().serializeToString(svg);
+        return Utils.loadImageFromUrl('data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup));
+    }
+
+    /**
+     * Render part of the PDF page into a rectangle of a canvas
+     */
+    async renderPdf(ctx, rect, target, signal) {
+        Utils.throwIfAborted(signal);
+
+        const viewport = this.pdfPage.getViewport({
+            scale: this.pointScale,
+            offsetX: -rect.x,
+            offsetY: -rect.y
+        });
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(target.x, target.y, target.width, target.height);
+        ctx.clip();
+
+        const renderTask = this.pdfPage.render({
+            canvasContext: ctx,
+            viewport,
+            // Applied before the viewport: maps the source's pixel space onto the target
+            transform: [target.width / rect.width, 0, 0, target.height / rect.height, target.x, target.y]
+        });
+        const onAbort = () => renderTask.cancel();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            await renderTask.promise;
+        } catch (error) {
+            if (signal && signal.aborted) throw Utils.createAbortError();
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            ctx.restore();
+        }
+    }
+}
+
+// Export
+window.VectorSource = VectorSource;
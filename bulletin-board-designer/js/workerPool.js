@@ -0,0 +1,199 @@
+/**
+ * Worker Pool
+ * Runs tasks on a fixed set of Web Workers, queueing work when all are busy
+ */
+
+class WorkerPool {
+    /**
+     * @param {string} scriptUrl - Worker script, relative to the page
+     * @param {number} size - Number of workers (defaults to the CPU core count)
+     */
+    constructor(scriptUrl, size = null) {
+        this.scriptUrl = scriptUrl;
+        this.size = size || Math.min(navigator.hardwareConcurrency || 4, 8);
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.tasks = new Map();
+        this.nextTaskId = 1;
+    }
+
+    /**
+     * Check if the browser can run resampling in workers
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Create the workers on first use
+     * Throws if workers cannot be started (e.g. pages opened from file:// in some browsers)
+     */
+    ensureWorkers() {
+        if (this.workers.length) return;
+
+        for (let i = 0; i < this.size; i++) {
+            this.addWorker();
+        }
+    }
+
+    addWorker() {
+        const worker = new Worker(this.scriptUrl);
+        worker.onmessage = (e) => this.handleMessage(worker, e.data);
+        // Task errors arrive as messages; an error event means the script itself failed
+        // (a 404, a CSP block or file:// in some browsers), so the worker can't be used again
+        worker.onerror = (e) => {
+            e.preventDefault();
+            this.handleBrokenWorker(worker, new Error(e.message || 'Worker failed to load'));
+        };
+        this.workers.push(worker);
+        this.idle.push(worker);
+    }
+
+    /**
+     * Drop a worker that failed to load and fail its task and every queued one, so callers
+     * can fall back instead of waiting on bands that would be sent to the same dead script
+     * @param {Worker} worker
+     * @param {Error} error
+     */
+    handleBrokenWorker(worker, error) {
+        worker.terminate();
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+
+        this.failTask(worker.currentTaskId, error);
+        worker.currentTaskId = null;
+
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(item => {
+            item.transfer.forEach(object => object.close && object.close());
+            this.failTask(item.message.taskId, error);
+        });
+    }
+
+    /**
+     * Reject a task that has not finished
+     * @param {number} taskId
+     * @param {Error} error
+     */
+    failTask(taskId, error) {
+        const task = this.tasks.get(taskId);
+        if (!task) return;
+        this.tasks.delete(taskId);
+        if (task.cleanup) task.cleanup();
+        task.reject(error);
+    }
+
+    /**
+     * Run a task on the next free worker
+     * @param {Object} message - Posted to the worker with a taskId added
+     * @param {Array} transfer - Transferable objects in the message
+     * @param {function} onProgress - Called with each 'progress' message
+     * @param {AbortSignal} signal - Optional signal that cancels the task
+     * @returns {Promise<Object>} The worker's 'done' message
+     */
+    run(message, transfer = [], onProgress = null, signal = null) {
+        if (signal && signal.aborted) {
+            return Promise.reject(Utils.createAbortError());
+        }
+
+        this.ensureWorkers();
+
+        return new Promise((resolve, reject) => {
+            const taskId = this.nextTaskId++;
+            const task = { resolve, reject, onProgress, cleanup: null };
+
+            if (signal) {
+                const onAbort = () => this.cancel(taskId);
+                signal.addEventListener('abort', onAbort, { once: true });
+                task.cleanup = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this.tasks.set(taskId, task);
+            this.queue.push({ message: { ...message, taskId }, transfer });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Cancel a task, dropping it from the queue or stopping the worker running it
+     * @param {number} taskId
+     */
+    cancel(taskId) {
+        const task = this.tasks.get(taskId);
+        if (!task) return;
+        this.tasks.delete(taskId);
+
+        const queued = this.queue.findIndex(item => item.message.taskId === taskId);
+        if (queued !== -1) {
+            // Free any bitmaps that were waiting to be transferred
+            const [item] = this.queue.splice(queued, 1);
+            item.transfer.forEach(object => object.close && object.close());
+        } else {
+            // A busy worker can't be interrupted, so replace it with a fresh one
+            const worker = this.workers.find(w => w.currentTaskId === taskId);
+            if (worker) {
+                worker.terminate();
+                this.workers = this.workers.filter(w => w !== worker);
+                this.addWorker();
+                // Dispatch after the other tasks sharing this signal have been cancelled too
+                queueMicrotask(() => this.dispatch());
+            }
+        }
+
+        task.reject(Utils.createAbortError());
+    }
+
+    dispatch() {
+        while (this.idle.length && this.queue.length) {
+            const worker = this.idle.shift();
+            const { message, transfer } = this.queue.shift();
+            worker.currentTaskId = message.taskId;
+            worker.postMessage(message, transfer);
+        }
+    }
+
+    handleMessage(worker, data) {
+        const task = this.tasks.get(data.taskId);
+        if (!task) return;
+
+        if (data.type === 'progress') {
+            if (task.onProgress) task.onProgress(data);
+            return;
+        }
+
+        this.tasks.delete(data.taskId);
+        if (task.cleanup) task.cleanup();
+        worker.currentTaskId = null;
+        this.idle.push(worker);
+
+        if (data.type === 'error') {
+            task.reject(new Error(data.message));
+        } else {
+            task.resolve(data);
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * Stop all workers and reject any pending tasks
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.tasks.forEach(task => {
+            if (task.cleanup) task.cleanup();
+            task.reject(new Error('Worker pool terminated'));
+        });
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.tasks.clear();
+    }
+}
+
+// Export
+window.WorkerPool = WorkerPool;
@@ -0,0 +1,151 @@
+/**
+ * Service Worker
+ * Caches the app so it starts and exports without a network, and receives files
+ * shared to the installed app from other apps
+ *
+ * Files are served from the cache and refreshed in the background, so an update
+ * shows on the next start. Bump CACHE_VERSION when files are added or removed.
+ */
+
+const CACHE_VERSION = 3;
+const SHELL_CACHE = `bbd-shell-v${CACHE_VERSION}`;
+const SHARE_CACHE = 'bbd-share';
+
+// Where a shared file waits until the page picks it up
+const SHARED_FILE_URL = 'shared-file';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'css/variables.css',
+    'css/main.css',
+    'css/components.css',
+    'vendor/jszip.min.js',
+    'vendor/pdf.min.js',
+    'vendor/pdf.worker.min.js',
+    'vendor/fonts/fonts.css',
+    'vendor/fonts/bebas-neue-latin-400-normal.woff2',
+    'vendor/fonts/bebas-neue-latin-ext-400-normal.woff2',
+    'vendor/fonts/fredoka-latin-400-normal.woff2',
+    'vendor/fonts/fredoka-latin-700-normal.woff2',
+    'vendor/fonts/fredoka-latin-ext-400-normal.woff2',
+    'vendor/fonts/fredoka-latin-ext-700-normal.woff2',
+    'vendor/fonts/inter-latin-300-normal.woff2',
+    'vendor/fonts/inter-latin-400-normal.woff2',
+    'vendor/fonts/inter-latin-500-normal.woff2',
+    'vendor/fonts/inter-latin-600-normal.woff2',
+    'vendor/fonts/inter-latin-700-normal.woff2',
+    'vendor/fonts/inter-latin-800-normal.woff2',
+    'vendor/fonts/inter-latin-ext-300-normal.woff2',
+    'vendor/fonts/inter-latin-ext-400-normal.woff2',
+    'vendor/fonts/inter-latin-ext-500-normal.woff2',
+    'vendor/fonts/inter-latin-ext-600-normal.woff2',
+    'vendor/fonts/inter-latin-ext-700-normal.woff2',
+    'vendor/fonts/inter-latin-ext-800-normal.woff2',
+    'vendor/fonts/merriweather-latin-400-normal.woff2',
+    'vendor/fonts/merriweather-latin-700-normal.woff2',
+    'vendor/fonts/merriweather-latin-ext-400-normal.woff2',
+    'vendor/fonts/merriweather-latin-ext-700-normal.woff2',
+    'vendor/fonts/pacifico-latin-400-normal.woff2',
+    'vendor/fonts/pacifico-latin-ext-400-normal.woff2',
+    'vendor/fonts/permanent-marker-latin-400-normal.woff2',
+    'js/utils.js',
+    'js/projectFile.js',
+    'js/projectStore.js',
+    'js/editHistory.js',
+    'js/resampleKernels.js',
+    'js/resampleWorker.js',
+    'js/workerPool.js',
+    'js/vectorSource.js',
+    'js/imageProcessor.js',
+    'js/gridSplitter.js',
+    'js/pdfStreamWriter.js',
+    'js/printExporter.js',
+    'js/cropEditor.js',
+    'js/composition.js',
+    'js/layerEditor.js',
+    'js/lettering.js',
+    'js/borderStrips.js',
+    'js/app.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('bbd-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+
+    if (request.method === 'GET' && url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Answer from the cache when possible and refresh the cached copy from the network
+ * @param {FetchEvent} event
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    // Launches from file handling or sharing add a query; they are the same page
+    const cached = await cache.match(event.request, { ignoreSearch: event.request.mode === 'navigate' });
+
+    const network = fetch(event.request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(event.request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => null));
+        return cached;
+    }
+    return network;
+}
+
+/**
+ * Keep a file shared from another app and open the designer to pick it up
+ * @param {Request} request - The share target's multipart POST
+ */
+async function receiveShare(request) {
+    const formData = await request.formData();
+    const file = formData.get('file');
+
+    if (file && typeof file !== 'string') {
+        const cache = await caches.open(SHARE_CACHE);
+        await cache.put(SHARED_FILE_URL, new Response(file, {
+            headers: {
+                'Content-Type': file.type || 'application/octet-stream',
+                'X-File-Name': encodeURIComponent(file.name)
+            }
+        }));
+    }
+
+    return Response.redirect('./?shared=1', 303);
+}
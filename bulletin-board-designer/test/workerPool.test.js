@@ -0,0 +1,88 @@
+/**
+ * Worker Pool Tests
+ * Runs the pool against fake workers: one that answers every task, and one whose script
+ * fails to load, which must fail every task rather than leave them waiting.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.self = global;
+global.window = global;
+require('../js/utils.js');
+require('../js/workerPool.js');
+
+const { WorkerPool } = global;
+
+/**
+ * Stands in for a Web Worker; the error event fires after construction, like a failed load
+ */
+class FakeWorker {
+    constructor(scriptUrl) {
+        this.scriptUrl = scriptUrl;
+        this.posted = [];
+        this.terminated = false;
+        FakeWorker.created.push(this);
+
+        if (scriptUrl === 'missing.js') {
+            setTimeout(() => {
+                if (this.terminated) return;
+                this.onerror({ message: 'Failed to load worker script', preventDefault() {} });
+            }, 0);
+        }
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+        if (this.scriptUrl === 'missing.js') return;
+        setTimeout(() => this.onmessage({ data: { taskId: message.taskId, type: 'done', value: message.value } }), 0);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+test.beforeEach(() => {
+    FakeWorker.created = [];
+    global.Worker = FakeWorker;
+});
+
+test('runs every task when the workers load', async () => {
+    const pool = new WorkerPool('worker.js', 2);
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => pool.run({ value })));
+
+    assert.deepStrictEqual(results.map(result => result.value), [1, 2, 3, 4, 5]);
+    assert.strictEqual(pool.workers.length, 2);
+    assert.strictEqual(pool.tasks.size, 0);
+});
+
+test('fails running and queued tasks when a worker fails to load', async () => {
+    const pool = new WorkerPool('missing.js', 2);
+    // More tasks than workers, so some are still queued when the load errors arrive
+    const jobs = [1, 2, 3, 4, 5, 6].map(value => pool.run({ value }));
+
+    const timeout = new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('Tasks never settled')), 1000).unref();
+    });
+    const results = await Promise.race([Promise.allSettled(jobs), timeout]);
+
+    assert.ok(results.every(result => result.status === 'rejected'));
+    assert.match(results[0].reason.message, /Failed to load/);
+    assert.strictEqual(pool.workers.length, 0);
+    assert.strictEqual(pool.idle.length, 0);
+    assert.strictEqual(pool.queue.length, 0);
+    assert.strictEqual(pool.tasks.size, 0);
+    assert.ok(FakeWorker.created.every(worker => worker.terminated));
+});
+
+test('fails a task started after the workers broke instead of queueing it forever', async () => {
+    const pool = new WorkerPool('missing.js', 1);
+    await assert.rejects(pool.run({ value: 1 }), /Failed to load/);
+
+    // The pool makes new workers on demand; they fail the same way
+    await assert.rejects(pool.run({ value: 2 }), /Failed to load/);
+    assert.strictEqual(pool.tasks.size, 0);
+});